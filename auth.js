@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+
+// Authentication for the sync API: static API keys (KWP_API_KEYS) and Supabase JWTs
+// (HS256, SUPA_JWT_SECRET). Every protected call is written to an audit table; audit
+// failures are logged, never thrown.
+
+const SCOPES = ['read', 'pull', 'push'];
+const AUDIT_TABLE = process.env.KWP_AUDIT_TABLE || 'kwp_api_audit';
+const AUTH_DISABLED = process.env.KWP_AUTH_DISABLED === '1';
+const JWT_SECRET = process.env.SUPA_JWT_SECRET || '';
+// Only user sessions carry this audience; anon and service_role keys have none and are refused.
+const JWT_AUDIENCE = process.env.KWP_JWT_AUDIENCE || 'authenticated';
+
+const sha256 = (v) => crypto.createHash('sha256').update(String(v)).digest();
+const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(a, b);
+
+// KWP_API_KEYS=name:key:scope+scope,... (e.g. crm:geheim:read+push,monitoring:abc:read).
+// Keys must not contain ":" or ","; such entries are refused instead of silently cut off.
+function parseApiKeys(value) {
+  return String(value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const parts = entry.split(':');
+      const [name, key, scopeList] = parts;
+      if (!name || !key) throw new Error(`KWP_API_KEYS: Eintrag "${name || entry}" braucht name:key[:scopes].`);
+      if (parts.length > 3) throw new Error(`KWP_API_KEYS: Key für ${name} enthält ":" (nicht erlaubt).`);
+      const scopes = scopeList ? scopeList.split('+').map((s) => s.trim()) : SCOPES;
+      const unknown = scopes.filter((s) => !SCOPES.includes(s));
+      if (unknown.length) throw new Error(`KWP_API_KEYS: unbekannter Scope ${unknown.join(', ')} für ${name}.`);
+      return { name, hash: sha256(key), scopes };
+    });
+}
+
+const API_KEYS = parseApiKeys(process.env.KWP_API_KEYS);
+
+const base64url = (s) => Buffer.from(s, 'base64url');
+
+function verifyJwt(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(base64url(parts[0]).toString('utf8'));
+    payload = JSON.parse(base64url(parts[1]).toString('utf8'));
+  } catch (_) {
+    return null;
+  }
+  if (header.alg !== 'HS256') return null;
+  const expected = crypto.createHmac('sha256', JWT_SECRET).update(`${parts[0]}.${parts[1]}`).digest();
+  if (!safeEqual(expected, base64url(parts[2]))) return null;
+  const now = Math.floor(Date.now() / 1000);
+  if (payload.exp != null && now >= payload.exp) return null;
+  if (payload.nbf != null && now < payload.nbf) return null;
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audiences.includes(JWT_AUDIENCE)) return null;
+  return payload;
+}
+
+// Users need app_metadata.kwp_scopes; there is no implicit scope for any role.
+function jwtScopes(payload) {
+  const raw = payload.app_metadata?.kwp_scopes ?? [];
+  const list = Array.isArray(raw) ? raw : String(raw).split(/[\s,+]+/);
+  return list.filter((s) => SCOPES.includes(s));
+}
+
+function readCredential(req) {
+  const apiKey = req.get('x-api-key');
+  if (apiKey) return apiKey.trim();
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+function authenticate(req) {
+  const credential = readCredential(req);
+  if (!credential) return null;
+  const hash = sha256(credential);
+  const key = API_KEYS.find((k) => safeEqual(k.hash, hash));
+  if (key) return { type: 'apikey', name: key.name, scopes: key.scopes };
+  if (JWT_SECRET && credential.split('.').length === 3) {
+    const payload = verifyJwt(credential);
+    if (payload) {
+      return { type: 'jwt', name: payload.email || payload.sub || payload.role || 'jwt', scopes: jwtScopes(payload) };
+    }
+  }
+  return null;
+}
+
+function createAuth(supa) {
+  if (AUTH_DISABLED) {
+    console.warn('KWP_AUTH_DISABLED=1: Sync-API ohne Authentifizierung.');
+  } else if (!API_KEYS.length && !JWT_SECRET) {
+    console.warn('Weder KWP_API_KEYS noch SUPA_JWT_SECRET gesetzt: geschützte Endpunkte antworten mit 401.');
+  }
+
+  function audit(req, res, scope, auditSuccess) {
+    res.on('finish', async () => {
+      if (!auditSuccess && res.statusCode < 400) return;
+      const { error } = await supa.from(AUDIT_TABLE).insert({
+        at: new Date().toISOString(),
+        principal: req.auth?.name ?? null,
+        auth_type: req.auth?.type ?? null,
+        scope,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        ip: req.ip,
+      });
+      if (error) console.error('Audit insert failed:', error.message);
+    });
+  }
+
+  // Express middleware: 401 without valid credentials, 403 without the scope.
+  // auditSuccess: false only records rejected calls (for frequent ones like metrics scrapes).
+  function requireScope(scope, { auditSuccess = true } = {}) {
+    if (!SCOPES.includes(scope)) throw new Error(`Unbekannter Scope: ${scope}`);
+    return (req, res, next) => {
+      if (AUTH_DISABLED) {
+        req.auth = { type: 'none', name: null, scopes: SCOPES };
+        return next();
+      }
+      req.auth = authenticate(req);
+      audit(req, res, scope, auditSuccess);
+      if (!req.auth) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ ok: false, error: 'Nicht angemeldet (X-API-Key oder Bearer-Token).' });
+      }
+      if (!req.auth.scopes.includes(scope)) {
+        return res.status(403).json({ ok: false, error: `Scope "${scope}" fehlt.` });
+      }
+      return next();
+    };
+  }
+
+  return { requireScope };
+}
+
+module.exports = {
+  SCOPES,
+  AUDIT_TABLE,
+  createAuth,
+  parseApiKeys,
+  verifyJwt,
+};
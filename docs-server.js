@@ -18,6 +18,10 @@ app.get('/openapi.json', (_req, res) => {
   res.sendFile(path.join(__dirname, 'openapi.json'));
 });
 
+app.get('/openapi-sync.json', (_req, res) => {
+  res.sendFile(path.join(__dirname, 'openapi-sync.json'));
+});
+
 app.listen(port, () => {
   console.log(`swagger-ui listening on :${port}`);
 });
@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const sql = require('mssql');
+const { STATUS_COLUMNS, mapStatus, statusToColumns } = require('./status-matrix');
+
+// Feldzuordnung Supabase <-> MSSQL. Standard ist field-mapping.json neben dieser Datei,
+// KWP_FIELD_MAPPING kann auf eine eigene Datei zeigen.
+const MAPPING_FILE = process.env.KWP_FIELD_MAPPING
+  ? path.resolve(process.env.KWP_FIELD_MAPPING)
+  : path.join(__dirname, 'field-mapping.json');
+
+// --- Converters ---
+const toISO = (v) => (v == null || v === '' ? null : new Date(v).toISOString());
+const toFloat = (v) => {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+const toDate = (v) => {
+  if (v == null || v === '') return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+const fitString = (v, maxLen) => {
+  if (v == null || v === '') return null;
+  const s = String(v);
+  return maxLen ? s.slice(0, maxLen) : s;
+};
+const toString = (v) => (v == null ? null : String(v));
+const raw = (v) => v ?? null;
+// Multi-column push converters return one value per mapped column.
+const statusColumns = (v) => {
+  const values = statusToColumns(v);
+  return STATUS_COLUMNS.map((col) => (values ? values[col] : null));
+};
+
+const CONVERTERS = { mapStatus, statusColumns, toISO, toFloat, toDate, fitString, toString, raw };
+
+// --- Loading ---
+function parseSqlType(typeName) {
+  const match = String(typeName || '').match(/^(\w+)(?:\((\w+)(?:,\s*(\d+))?\))?$/);
+  if (!match || typeof sql[match[1]] !== 'function') {
+    throw new Error(`Unbekannter sqlType in Feldzuordnung: ${typeName}`);
+  }
+  const [, name, arg1, arg2] = match;
+  if (arg1 == null) return { type: sql[name], ddl: name.toUpperCase(), length: null };
+  const length = arg1.toUpperCase() === 'MAX' ? null : Number.parseInt(arg1, 10);
+  const args = [arg1.toUpperCase() === 'MAX' ? sql.MAX : length];
+  if (arg2 != null) args.push(Number.parseInt(arg2, 10));
+  return {
+    type: sql[name](...args),
+    ddl: `${name.toUpperCase()}(${arg2 != null ? `${arg1}, ${arg2}` : arg1.toUpperCase()})`,
+    length,
+  };
+}
+
+function resolveConverter(name, field) {
+  const fn = CONVERTERS[name || 'raw'];
+  if (!fn) {
+    throw new Error(`Unbekannter Converter "${name}" für Feld ${field.supabase}.`);
+  }
+  return fn;
+}
+
+function loadFieldMapping(file = MAPPING_FILE) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const fields = (config.fields || []).map((field) => {
+    if (!field.supabase) throw new Error('Feldzuordnung ohne "supabase"-Spalte.');
+    if (!field.mssql && !field.expr) {
+      throw new Error(`Feld ${field.supabase} braucht "mssql" oder "expr".`);
+    }
+    const direction = field.direction || 'both';
+    const columns = Array.isArray(field.mssql) ? field.mssql : field.mssql ? [field.mssql] : [];
+    const parsed = {
+      ...field,
+      direction,
+      columns,
+      pullConverter: resolveConverter(field.pull, field),
+    };
+    if (direction !== 'pull') {
+      if (!columns.length || !columns.every((col) => col.startsWith('p.'))) {
+        throw new Error(`Feld ${field.supabase}: Push geht nur auf Spalten von dbo.Projekt (p.*).`);
+      }
+      const sqlTypes = columns.map((_, i) => (
+        parseSqlType(Array.isArray(field.sqlType) ? field.sqlType[i] : field.sqlType)
+      ));
+      parsed.targets = columns.map((col, i) => ({ column: col.slice(2), sqlType: sqlTypes[i] }));
+      parsed.column = parsed.targets.length === 1 ? parsed.targets[0].column : null;
+      parsed.length = field.length ?? sqlTypes[0].length;
+      parsed.pushConverter = resolveConverter(field.push, field);
+    }
+    return parsed;
+  });
+  if (!fields.some((field) => field.key)) {
+    throw new Error('Feldzuordnung braucht ein Schlüsselfeld ("key": true).');
+  }
+  return { joins: config.joins || {}, supabaseColumns: config.supabaseColumns || [], fields };
+}
+
+const mapping = loadFieldMapping();
+const keyField = mapping.fields.find((field) => field.key);
+const pullFields = mapping.fields.filter((field) => field.direction !== 'push');
+const pushFields = mapping.fields.filter((field) => field.direction !== 'pull');
+// Pull fields that come straight from the project address (pa.*) or its Ort (po.*).
+// /sync/push uses them to write address changes back to adrAdressen.
+const addressFields = pullFields
+  .filter((field) => field.columns.length === 1 && /^p[ao]\./.test(field.columns[0]))
+  .map((field) => ({
+    supabase: field.supabase,
+    table: field.columns[0].startsWith('pa.') ? 'adrAdressen' : 'adrOrte',
+    column: field.columns[0].slice(3),
+  }));
+const pushTargets = pushFields.flatMap((field) => field.targets.map((target) => ({ ...target, field })));
+
+// --- Pull ---
+function buildPullSelectSql(whereSql = '') {
+  const selects = [];
+  for (const field of pullFields) {
+    if (field.expr) {
+      selects.push(`${field.expr} AS [${field.supabase}]`);
+    } else if (field.columns.length === 1) {
+      selects.push(`${field.columns[0]} AS [${field.supabase}]`);
+    } else {
+      for (const col of field.columns) selects.push(`${col} AS [${col.split('.').pop()}]`);
+    }
+  }
+  const [base, ...joins] = Object.entries(mapping.joins);
+  const joinSql = joins.map(([alias, def]) => {
+    const [table, on] = def.split(/\s+ON\s+/i);
+    return `LEFT JOIN ${table} ${alias} ON ${on}`;
+  });
+  return `
+    SELECT
+      ${selects.join(',\n      ')}
+    FROM ${base[1]} ${base[0]}
+    ${joinSql.join('\n    ')}${whereSql};
+  `;
+}
+
+function mapPullRow(r) {
+  const row = {};
+  for (const field of pullFields) {
+    const value = field.columns.length > 1 ? r : r[field.supabase];
+    row[field.supabase] = field.pullConverter(value) ?? null;
+  }
+  return row;
+}
+
+// --- Push ---
+function convertPushValue(field, value) {
+  const converted = field.pushConverter(value, field.length);
+  if (field.targets.length === 1) return [converted];
+  return Array.isArray(converted) ? converted : field.targets.map(() => null);
+}
+
+function buildPushTable(name = 'Projekt') {
+  const table = new sql.Table(name);
+  for (const target of pushTargets) {
+    table.columns.add(target.column, target.sqlType.type, { nullable: !target.field.key });
+  }
+  return table;
+}
+
+function mapPushRow(item) {
+  return pushFields.flatMap((field) => convertPushValue(field, item[field.supabase]));
+}
+
+function buildPushTempTableSql(tmp) {
+  const columns = pushTargets.map((target) => (
+    `${target.column} ${target.sqlType.ddl}${target.field.key ? ' PRIMARY KEY' : ' NULL'}`
+  ));
+  return `
+    IF OBJECT_ID('tempdb..${tmp}') IS NOT NULL DROP TABLE ${tmp};
+    CREATE TABLE ${tmp} (
+      ${columns.join(',\n      ')}
+    );
+  `;
+}
+
+// Fields with "keepOnNull" only overwrite KWP when the pushed value is set.
+// stampEditdate sets Projekt.Editdate on every written row.
+function buildMergeSql(tmp, options = {}) {
+  const key = keyField.column;
+  const updates = pushTargets
+    .filter((target) => !target.field.key)
+    .map((target) => (target.field.keepOnNull
+      ? `${target.column} = COALESCE(s.${target.column}, t.${target.column})`
+      : `${target.column} = s.${target.column}`));
+  const columns = pushTargets.map((target) => target.column);
+  const values = columns.map((col) => `s.${col}`);
+  if (options.stampEditdate) {
+    updates.push('Editdate = GETDATE()');
+    columns.push('Editdate');
+    values.push('GETDATE()');
+  }
+  return `
+    MERGE dbo.Projekt AS t
+    USING ${tmp} AS s ON t.${key} = s.${key}
+    WHEN MATCHED THEN UPDATE SET
+      ${updates.join(',\n      ')}
+    WHEN NOT MATCHED THEN INSERT (
+      ${columns.join(', ')}
+    ) VALUES (
+      ${values.join(', ')}
+    );
+  `;
+}
+
+// Translates Supabase/CRM field names in a queue payload to dbo.Projekt column names.
+// Multi-column fields (statusse) are converted here; keys without a push mapping are
+// passed through unchanged.
+function toProjektColumns(payload) {
+  const out = {};
+  for (const [key, value] of Object.entries(payload || {})) {
+    const field = pushFields.find((f) => f.supabase.toLowerCase() === key.toLowerCase());
+    if (!field) {
+      out[key] = value;
+    } else if (field.targets.length === 1) {
+      out[field.column] = value;
+    } else {
+      const values = convertPushValue(field, value);
+      field.targets.forEach((target, i) => {
+        if (values[i] != null) out[target.column] = values[i];
+      });
+    }
+  }
+  return out;
+}
+
+// --- Supabase schema ---
+function buildSupabaseSchemaSql(table = 'public.projekt') {
+  const columns = mapping.fields
+    .filter((field) => field.direction !== 'push')
+    .map((field) => `${field.supabase} ${field.supabaseType || 'text'}`)
+    .concat(mapping.supabaseColumns);
+  return `create table if not exists ${table} (\n  ${columns.join(',\n  ')}\n);`;
+}
+
+module.exports = {
+  mapping,
+  keyField,
+  pullFields,
+  pushFields,
+  pushTargets,
+  addressFields,
+  loadFieldMapping,
+  convertPushValue,
+  buildPullSelectSql,
+  mapPullRow,
+  buildPushTable,
+  mapPushRow,
+  buildPushTempTableSql,
+  buildMergeSql,
+  toProjektColumns,
+  buildSupabaseSchemaSql,
+  toISO,
+  toFloat,
+  toDate,
+  fitString,
+};
+
+if (require.main === module) {
+  console.log(buildSupabaseSchemaSql());
+}
@@ -0,0 +1,80 @@
+const sql = require('mssql');
+
+// Shared adrAdressen/adrOrte/adrKontakte helpers for server.js and realtime-sync.js.
+// All functions expect an open sql.Transaction.
+
+const KONTAKT_ART_MAIL = 2;
+
+async function ensureOrt(trx, address) {
+  if (!address.plz || !address.ort) {
+    throw new Error('Adresse muss PLZ und Ort enthalten.');
+  }
+  const plzn = address.plzn || address.plz;
+  const ortTyp = Number.isFinite(address.ortTyp) ? address.ortTyp : 0;
+  const request = new sql.Request(trx);
+  request.input('Plz', sql.NVarChar(16), address.plz);
+  request.input('Ort', sql.NVarChar(80), address.ort);
+  const existing = await request.query(
+    'SELECT OrtID FROM dbo.adrOrte WHERE PLZ = @Plz AND Ort = @Ort'
+  );
+  if (existing.recordset.length) {
+    return existing.recordset[0].OrtID;
+  }
+  const nextReq = new sql.Request(trx);
+  const nextIdRes = await nextReq.query('SELECT ISNULL(MAX(OrtID), 0) + 1 AS NextId FROM dbo.adrOrte');
+  const nextId = nextIdRes.recordset[0].NextId;
+  const insertReq = new sql.Request(trx);
+  insertReq.input('OrtID', sql.Int, nextId);
+  insertReq.input('Land', sql.NVarChar(3), address.land || 'DE');
+  insertReq.input('Plz', sql.NVarChar(16), address.plz);
+  insertReq.input('Plzn', sql.NVarChar(16), plzn);
+  insertReq.input('Ort', sql.NVarChar(80), address.ort);
+  insertReq.input('OrtTyp', sql.Int, ortTyp);
+  await insertReq.query(
+    'INSERT INTO dbo.adrOrte (OrtID, Land, PLZ, PLZN, Ort, OrtTyp) VALUES (@OrtID, @Land, @Plz, @Plzn, @Ort, @OrtTyp)'
+  );
+  return nextId;
+}
+
+async function upsertMailKontakt(trx, adrNrGes, mail) {
+  const findReq = new sql.Request(trx);
+  findReq.input('AdrNrGes', sql.NVarChar(48), adrNrGes);
+  findReq.input('KontaktArt', sql.Int, KONTAKT_ART_MAIL);
+  const existing = await findReq.query(
+    'SELECT TOP 1 KontaktID FROM dbo.adrKontakte WHERE AdrNrGes = @AdrNrGes AND KontaktArt = @KontaktArt ORDER BY KontaktID'
+  );
+  if (existing.recordset.length) {
+    const kontaktId = existing.recordset[0].KontaktID;
+    const updateReq = new sql.Request(trx);
+    updateReq.input('KontaktID', sql.Int, kontaktId);
+    updateReq.input('Mail', sql.NVarChar(510), mail);
+    await updateReq.query('UPDATE dbo.adrKontakte SET Kontakt = @Mail WHERE KontaktID = @KontaktID');
+    return kontaktId;
+  }
+
+  const req = new sql.Request(trx);
+  const maxRes = await req.query(
+    'SELECT ISNULL(MAX(KontaktID), 0) AS MaxId FROM dbo.adrKontakte WITH (TABLOCKX, HOLDLOCK)'
+  );
+  const kontaktId = (maxRes.recordset[0].MaxId || 0) + 1;
+  const insertReq = new sql.Request(trx);
+  insertReq.input('KontaktID', sql.Int, kontaktId);
+  insertReq.input('AdrNrGes', sql.NVarChar(48), adrNrGes);
+  insertReq.input('KontaktArt', sql.Int, KONTAKT_ART_MAIL);
+  insertReq.input('Mail', sql.NVarChar(510), mail);
+  await insertReq.query(`
+    INSERT INTO dbo.adrKontakte (KontaktID, AdrNrGes, KontaktArt, KontaktName, Kontakt, KontaktArtTyp)
+    VALUES (@KontaktID, @AdrNrGes, @KontaktArt, 'Mail', @Mail, -1);
+
+    UPDATE dbo.adrAdressen
+    SET Kontakt3 = @KontaktID
+    WHERE AdrNrGes = @AdrNrGes AND Kontakt3 IS NULL;
+  `);
+  return kontaktId;
+}
+
+module.exports = {
+  KONTAKT_ART_MAIL,
+  ensureOrt,
+  upsertMailKontakt,
+};
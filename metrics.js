@@ -0,0 +1,147 @@
+const http = require('http');
+const client = require('prom-client');
+
+// Prometheus metrics shared by server.js (/metrics) and realtime-sync.js (optional
+// listener on KWP_METRICS_PORT). Each process has its own registry.
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const rowsPulled = new client.Counter({
+  name: 'kwp_sync_rows_pulled_total',
+  help: 'Rows written from KWP to Supabase by the pull.',
+  labelNames: ['mode'],
+  registers: [register],
+});
+
+const rowsPushed = new client.Counter({
+  name: 'kwp_sync_rows_pushed_total',
+  help: 'Rows received by the push, by outcome (accepted, rejected, held, skipped).',
+  labelNames: ['outcome'],
+  registers: [register],
+});
+
+const pullDuration = new client.Histogram({
+  name: 'kwp_sync_pull_duration_seconds',
+  help: 'Duration of a complete pull.',
+  labelNames: ['mode', 'status'],
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800],
+  registers: [register],
+});
+
+const mergeDuration = new client.Histogram({
+  name: 'kwp_sync_merge_duration_seconds',
+  help: 'Duration of the push MERGE into dbo.Projekt (one transaction).',
+  labelNames: ['status'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register],
+});
+
+const syncRuns = new client.Counter({
+  name: 'kwp_sync_runs_total',
+  help: 'Finished sync runs by type and status.',
+  labelNames: ['type', 'status'],
+  registers: [register],
+});
+
+const queueItems = new client.Counter({
+  name: 'kwp_sync_queue_items_total',
+  help: 'Processed queue items by outcome (done, exists, error).',
+  labelNames: ['outcome'],
+  registers: [register],
+});
+
+// Failed items (outcome error) that will not be retried; the rest of the errors are retries.
+const queueDead = new client.Counter({
+  name: 'kwp_sync_queue_items_dead_total',
+  help: 'Queue items moved to status dead.',
+  registers: [register],
+});
+
+const queueLag = new client.Histogram({
+  name: 'kwp_sync_queue_lag_seconds',
+  help: 'Time between created_at of a queue item and the start of its processing.',
+  buckets: [0.5, 1, 2, 5, 10, 30, 60, 300, 900, 3600],
+  registers: [register],
+});
+
+const webhookDeliveries = new client.Counter({
+  name: 'kwp_sync_webhook_deliveries_total',
+  help: 'Webhook delivery attempts by event and outcome (success, retry, failed).',
+  labelNames: ['event', 'outcome'],
+  registers: [register],
+});
+
+const REALTIME_STATUSES = ['SUBSCRIBED', 'TIMED_OUT', 'CLOSED', 'CHANNEL_ERROR'];
+const realtimeStatus = new client.Gauge({
+  name: 'kwp_sync_realtime_channel_status',
+  help: 'Current realtime channel status (1 = active status).',
+  labelNames: ['status'],
+  registers: [register],
+});
+
+function setRealtimeStatus(status) {
+  for (const s of new Set([...REALTIME_STATUSES, status])) {
+    realtimeStatus.set({ status: s }, s === status ? 1 : 0);
+  }
+}
+
+// getPool returns the mssql ConnectionPool if one is connected, otherwise null.
+function trackMssqlPool(getPool) {
+  return new client.Gauge({
+    name: 'kwp_sync_mssql_pool_connections',
+    help: 'MSSQL pool connections by state (size, available, borrowed, pending).',
+    labelNames: ['state'],
+    registers: [register],
+    collect() {
+      const pool = getPool();
+      for (const state of ['size', 'available', 'borrowed', 'pending']) {
+        let value = 0;
+        try {
+          value = pool?.connected ? pool[state] : 0;
+        } catch (_) {
+          // pool is being (re)connected
+        }
+        this.set({ state }, value);
+      }
+    },
+  });
+}
+
+async function metricsHandler(_req, res) {
+  try {
+    const body = await register.metrics();
+    res.writeHead(200, { 'Content-Type': register.contentType });
+    res.end(body);
+  } catch (err) {
+    res.writeHead(500, { 'Content-Type': 'text/plain' });
+    res.end(err.message || String(err));
+  }
+}
+
+// Unauthenticated, so it listens on localhost unless host (KWP_METRICS_HOST) says otherwise.
+function startMetricsServer(port, host = process.env.KWP_METRICS_HOST || '127.0.0.1') {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/metrics') return metricsHandler(req, res);
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('not found');
+  });
+  server.listen(port, host, () => console.log(`metrics listening on ${host}:${port}`));
+  return server;
+}
+
+module.exports = {
+  register,
+  rowsPulled,
+  rowsPushed,
+  pullDuration,
+  mergeDuration,
+  syncRuns,
+  queueItems,
+  queueDead,
+  queueLag,
+  webhookDeliveries,
+  setRealtimeStatus,
+  trackMssqlPool,
+  metricsHandler,
+  startMetricsServer,
+};
@@ -0,0 +1,47 @@
+-- Spiegel von dbo.Projekt (Stand field-mapping.json, neu erzeugen mit npm run mapping:schema).
+create table if not exists public.projekt (
+  projnr text primary key,
+  projbezeichnung text,
+  statusse text,
+  projadr text,
+  rechadr text,
+  bauhradr text,
+  abtnr integer,
+  sachbearb text,
+  auftragssumme numeric(18,2),
+  beginn timestamptz,
+  kwp_editdate timestamptz,
+  projinfos text,
+  rechinfos text,
+  bauhrinfos text,
+  vorname text,
+  name text,
+  strasse text,
+  ort text,
+  plz text,
+  rechnungsmail text
+);
+
+-- Tombstones, Sync-Stempel und updated_at für die Konfliktprüfung (auch für ältere Tabellen).
+alter table public.projekt
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_reason text,
+  add column if not exists kwp_editdate timestamptz,
+  add column if not exists synced_at timestamptz,
+  add column if not exists updated_at timestamptz not null default now();
+update public.projekt set synced_at = updated_at where synced_at is null;
+
+-- updated_at: CRM-Änderungen bekommen now(), Schreibvorgänge des Syncs (die synced_at setzen) dessen Wert.
+create or replace function public.projekt_touch_updated_at() returns trigger
+language plpgsql as $$
+begin
+  if new.synced_at is distinct from old.synced_at then
+    new.updated_at := new.synced_at;
+  else
+    new.updated_at := now();
+  end if;
+  return new;
+end $$;
+drop trigger if exists projekt_touch_updated_at on public.projekt;
+create trigger projekt_touch_updated_at before update on public.projekt
+  for each row execute function public.projekt_touch_updated_at();
@@ -0,0 +1,23 @@
+create table if not exists public.kwp_project_queue (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default now(),
+  status text not null default 'pending',
+  payload jsonb not null,
+  attempt_count int not null default 0,
+  processed_at timestamptz,
+  error text
+);
+create index if not exists kwp_project_queue_status_created_idx on public.kwp_project_queue (status, created_at);
+
+-- Realtime: UPDATE-Events mit vollständiger Zeile, Tabelle in der Publication.
+alter table public.kwp_project_queue replica identity full;
+do $$
+begin
+  if exists (select 1 from pg_publication where pubname = 'supabase_realtime')
+     and not exists (
+       select 1 from pg_publication_tables
+       where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'kwp_project_queue'
+     ) then
+    alter publication supabase_realtime add table public.kwp_project_queue;
+  end if;
+end $$;
@@ -0,0 +1,5 @@
+create table if not exists public.kwp_sync_state (
+  key text primary key,
+  value jsonb,
+  updated_at timestamptz not null default now()
+);
@@ -0,0 +1,14 @@
+create table if not exists public.kwp_sync_conflicts (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default now(),
+  projnr text not null,
+  direction text not null,
+  kwp_version jsonb,
+  crm_version jsonb,
+  kwp_editdate timestamptz,
+  crm_updated_at timestamptz,
+  status text not null default 'open',
+  resolution text,
+  resolved_at timestamptz
+);
+create index if not exists kwp_sync_conflicts_projnr_idx on public.kwp_sync_conflicts (projnr, status);
@@ -0,0 +1,14 @@
+create table if not exists public.kwp_sync_runs (
+  id uuid primary key default gen_random_uuid(),
+  type text not null,
+  trigger text,
+  status text not null,
+  started_at timestamptz not null default now(),
+  finished_at timestamptz,
+  duration_ms integer,
+  params jsonb,
+  counts jsonb,
+  error text,
+  error_details jsonb
+);
+create index if not exists kwp_sync_runs_type_started_idx on public.kwp_sync_runs (type, started_at desc);
@@ -0,0 +1,12 @@
+create table if not exists public.kwp_api_audit (
+  id bigint generated always as identity primary key,
+  at timestamptz not null default now(),
+  principal text,
+  auth_type text,
+  scope text,
+  method text not null,
+  path text not null,
+  status integer,
+  ip text
+);
+create index if not exists kwp_api_audit_at_idx on public.kwp_api_audit (at desc);
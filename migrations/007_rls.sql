@@ -0,0 +1,20 @@
+-- Der Sync arbeitet mit dem Service Key (umgeht RLS). Angemeldete CRM-Benutzer dürfen
+-- projekt lesen sowie Queue-Einträge anlegen und lesen; die Sync-internen Tabellen bleiben gesperrt.
+alter table public.projekt enable row level security;
+alter table public.kwp_project_queue enable row level security;
+alter table public.kwp_sync_state enable row level security;
+alter table public.kwp_sync_conflicts enable row level security;
+alter table public.kwp_sync_runs enable row level security;
+alter table public.kwp_api_audit enable row level security;
+
+drop policy if exists projekt_select_authenticated on public.projekt;
+create policy projekt_select_authenticated on public.projekt
+  for select to authenticated using (true);
+
+drop policy if exists kwp_project_queue_insert_authenticated on public.kwp_project_queue;
+create policy kwp_project_queue_insert_authenticated on public.kwp_project_queue
+  for insert to authenticated with check (status = 'pending');
+
+drop policy if exists kwp_project_queue_select_authenticated on public.kwp_project_queue;
+create policy kwp_project_queue_select_authenticated on public.kwp_project_queue
+  for select to authenticated using (true);
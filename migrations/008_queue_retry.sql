@@ -0,0 +1,5 @@
+-- Wiederholungen mit Backoff: fällige pending-Einträge haben next_attempt_at <= now() oder null.
+-- Endgültig fehlgeschlagene Einträge stehen auf status = 'dead'.
+alter table public.kwp_project_queue add column if not exists next_attempt_at timestamptz;
+create index if not exists kwp_project_queue_status_next_attempt_idx
+  on public.kwp_project_queue (status, next_attempt_at);
@@ -0,0 +1,12 @@
+-- Mehrere Worker: ein Eintrag gehört dem Worker in claimed_by, bis lease_expires_at abläuft.
+-- Abgelaufene processing-Einträge holt sich der nächste Worker zurück.
+alter table public.kwp_project_queue add column if not exists claimed_by text;
+alter table public.kwp_project_queue add column if not exists claimed_at timestamptz;
+alter table public.kwp_project_queue add column if not exists lease_expires_at timestamptz;
+create index if not exists kwp_project_queue_status_lease_idx
+  on public.kwp_project_queue (status, lease_expires_at);
+
+-- Einträge, die ältere Worker gerade bearbeiten, bekommen eine Schonfrist statt sofort zurückgeholt zu werden.
+update public.kwp_project_queue
+set lease_expires_at = now() + interval '15 minutes'
+where status = 'processing' and lease_expires_at is null;
@@ -0,0 +1,3 @@
+-- Ergebnis eines verarbeiteten Eintrags: ProjNr, AdrNrGes der drei Adressen (neu/vorhanden),
+-- OrtID und KontaktIDs, damit das CRM die KWP-Schlüssel übernehmen kann.
+alter table public.kwp_project_queue add column if not exists result jsonb;
@@ -0,0 +1,25 @@
+-- updated_at auch beim Einfügen setzen: vom Pull angelegte Zeilen bekommen synced_at statt now()
+-- (sonst gilt jede neu gepullte Zeile als CRM-Änderung), vom CRM angelegte Zeilen now().
+create or replace function public.projekt_touch_updated_at() returns trigger
+language plpgsql as $$
+begin
+  if tg_op = 'INSERT' then
+    new.updated_at := coalesce(new.synced_at, now());
+  elsif new.synced_at is distinct from old.synced_at then
+    new.updated_at := new.synced_at;
+  else
+    new.updated_at := now();
+  end if;
+  return new;
+end $$;
+drop trigger if exists projekt_touch_updated_at on public.projekt;
+create trigger projekt_touch_updated_at before insert or update on public.projekt
+  for each row execute function public.projekt_touch_updated_at();
+
+-- Bereits betroffene Zeilen: updated_at liegt nur um die Dauer des Pull-Batches hinter synced_at.
+-- synced_at nachziehen (der Trigger kopiert es nach updated_at), echte CRM-Änderungen liegen später.
+update public.projekt
+set synced_at = updated_at
+where synced_at is not null
+  and updated_at > synced_at
+  and updated_at - synced_at < interval '1 minute';
@@ -0,0 +1,68 @@
+-- Tabellen, die vor den Migrationen von Hand (oder mit einem älteren Stand der README) angelegt wurden:
+-- create table if not exists lässt sie unverändert, deshalb jede Spalte außer dem Primärschlüssel nachziehen.
+-- not null ohne Default geht auf gefüllten Tabellen nicht, diese Spalten kommen nullable dazu.
+alter table public.projekt
+  add column if not exists projbezeichnung text,
+  add column if not exists statusse text,
+  add column if not exists projadr text,
+  add column if not exists rechadr text,
+  add column if not exists bauhradr text,
+  add column if not exists abtnr integer,
+  add column if not exists sachbearb text,
+  add column if not exists auftragssumme numeric(18,2),
+  add column if not exists beginn timestamptz,
+  add column if not exists projinfos text,
+  add column if not exists rechinfos text,
+  add column if not exists bauhrinfos text,
+  add column if not exists vorname text,
+  add column if not exists name text,
+  add column if not exists strasse text,
+  add column if not exists ort text,
+  add column if not exists plz text,
+  add column if not exists rechnungsmail text;
+
+alter table public.kwp_project_queue
+  add column if not exists created_at timestamptz not null default now(),
+  add column if not exists status text not null default 'pending',
+  add column if not exists payload jsonb,
+  add column if not exists attempt_count int not null default 0,
+  add column if not exists processed_at timestamptz,
+  add column if not exists error text;
+
+alter table public.kwp_sync_state
+  add column if not exists value jsonb,
+  add column if not exists updated_at timestamptz not null default now();
+
+alter table public.kwp_sync_conflicts
+  add column if not exists created_at timestamptz not null default now(),
+  add column if not exists projnr text,
+  add column if not exists direction text,
+  add column if not exists kwp_version jsonb,
+  add column if not exists crm_version jsonb,
+  add column if not exists kwp_editdate timestamptz,
+  add column if not exists crm_updated_at timestamptz,
+  add column if not exists status text not null default 'open',
+  add column if not exists resolution text,
+  add column if not exists resolved_at timestamptz;
+
+alter table public.kwp_sync_runs
+  add column if not exists type text,
+  add column if not exists trigger text,
+  add column if not exists status text,
+  add column if not exists started_at timestamptz not null default now(),
+  add column if not exists finished_at timestamptz,
+  add column if not exists duration_ms integer,
+  add column if not exists params jsonb,
+  add column if not exists counts jsonb,
+  add column if not exists error text,
+  add column if not exists error_details jsonb;
+
+alter table public.kwp_api_audit
+  add column if not exists at timestamptz not null default now(),
+  add column if not exists principal text,
+  add column if not exists auth_type text,
+  add column if not exists scope text,
+  add column if not exists method text,
+  add column if not exists path text,
+  add column if not exists status integer,
+  add column if not exists ip text;
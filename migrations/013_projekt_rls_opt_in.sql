@@ -0,0 +1,4 @@
+-- RLS auf projekt ist Opt-in: 007 hat es eingeschaltet und nur Lesen für authenticated erlaubt, damit
+-- konnte das CRM projekt nicht mehr ändern und anon nicht mehr lesen. Einschalten siehe README (RLS).
+drop policy if exists projekt_select_authenticated on public.projekt;
+alter table public.projekt disable row level security;
@@ -0,0 +1,92 @@
+const Ajv = require('ajv');
+
+// Validates incoming requests against an OpenAPI 3.0 spec (openapi-sync.json). Use
+// validateRequest as route middleware; it looks up the operation by req.route.path.
+// Query and path parameters arrive as strings and are coerced before the check.
+
+// "#/components/..." refs point into the spec, which is registered in ajv as "spec".
+function rewriteRefs(schema) {
+  if (Array.isArray(schema)) return schema.map(rewriteRefs);
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    out[key] = key === '$ref' && value.startsWith('#/') ? `spec${value}` : rewriteRefs(value);
+  }
+  return out;
+}
+
+function parameterSchema(parameters, location) {
+  const params = parameters.filter((p) => p.in === location);
+  if (!params.length) return null;
+  return {
+    type: 'object',
+    properties: Object.fromEntries(params.map((p) => [p.name, rewriteRefs(p.schema || {})])),
+    required: params.filter((p) => p.required).map((p) => p.name),
+  };
+}
+
+function formatErrors(location, errors) {
+  return (errors || []).map((err) => ({
+    in: location,
+    path: err.instancePath || '/',
+    message: err.params?.additionalProperty
+      ? `unbekanntes Feld "${err.params.additionalProperty}"`
+      : err.message,
+  }));
+}
+
+function createRequestValidator(spec) {
+  const options = { allErrors: true, strict: false, validateFormats: false };
+  const bodyAjv = new Ajv(options);
+  const paramAjv = new Ajv({ ...options, coerceTypes: 'array' });
+  for (const ajv of [bodyAjv, paramAjv]) {
+    ajv.addSchema(rewriteRefs({ components: spec.components }), 'spec');
+  }
+
+  const operations = new Map();
+  for (const [specPath, item] of Object.entries(spec.paths || {})) {
+    const routePath = specPath.replace(/\{(\w+)\}/g, ':$1');
+    for (const method of ['get', 'post', 'put', 'patch', 'delete']) {
+      const operation = item[method];
+      if (!operation) continue;
+      const parameters = [...(item.parameters || []), ...(operation.parameters || [])];
+      const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+      const compile = (ajv, schema) => (schema ? ajv.compile(schema) : null);
+      operations.set(`${method} ${routePath}`, {
+        path: compile(paramAjv, parameterSchema(parameters, 'path')),
+        query: compile(paramAjv, parameterSchema(parameters, 'query')),
+        body: compile(bodyAjv, bodySchema && rewriteRefs(bodySchema)),
+        bodyRequired: Boolean(operation.requestBody?.required),
+      });
+    }
+  }
+
+  function validateRequest(req, res, next) {
+    const operation = operations.get(`${req.method.toLowerCase()} ${req.route.path}`);
+    if (!operation) return next();
+    const details = [];
+    if (operation.path && !operation.path(req.params)) details.push(...formatErrors('path', operation.path.errors));
+    if (operation.query && !operation.query(req.query)) details.push(...formatErrors('query', operation.query.errors));
+    if (operation.body) {
+      const hasBody = req.body && Object.keys(req.body).length > 0;
+      if (!hasBody && operation.bodyRequired) {
+        details.push({ in: 'body', path: '/', message: 'Body fehlt' });
+      } else if (hasBody && !operation.body(req.body)) {
+        details.push(...formatErrors('body', operation.body.errors));
+      }
+    }
+    if (!details.length) return next();
+    const first = details[0];
+    return res.status(400).json({
+      ok: false,
+      error: `Ungültige Anfrage: ${first.in} ${first.path} ${first.message}`,
+      details,
+    });
+  }
+
+  return { validateRequest, operations };
+}
+
+module.exports = {
+  createRequestValidator,
+};
@@ -1,11 +1,31 @@
 require('dotenv').config();
+const os = require('os');
 const sql = require('mssql');
 const { createClient } = require('@supabase/supabase-js');
+const { toProjektColumns } = require('./field-mapping');
+const { ensureOrt } = require('./kwp-adressen');
+const { createRunRecorder } = require('./sync-runs');
+const { emitWebhook } = require('./webhooks');
+const metrics = require('./metrics');
 
 const QUEUE_SCHEMA = process.env.KWP_QUEUE_SCHEMA || 'public';
 const QUEUE_TABLE = process.env.KWP_QUEUE_TABLE || 'kwp_project_queue';
 const POLL_INTERVAL_MS = Number.parseInt(process.env.KWP_QUEUE_POLL_MS || '30000', 10);
 const POLL_LIMIT = Number.parseInt(process.env.KWP_QUEUE_POLL_LIMIT || '50', 10);
+const METRICS_PORT = Number.parseInt(process.env.KWP_METRICS_PORT || '0', 10);
+// Edituser for queue updates that do not send one.
+const EDIT_USER = process.env.KWP_PUSH_USER || 'kwp-sync';
+const QUEUE_OPERATIONS = ['insert', 'update', 'upsert'];
+// Transient failures are retried with exponential backoff, everything else goes to "dead".
+const MAX_ATTEMPTS = Math.max(Number.parseInt(process.env.KWP_QUEUE_MAX_ATTEMPTS || '5', 10) || 1, 1);
+const RETRY_BASE_MS = Number.parseInt(process.env.KWP_QUEUE_RETRY_BASE_MS || '30000', 10) || 30000;
+const RETRY_MAX_MS = Number.parseInt(process.env.KWP_QUEUE_RETRY_MAX_MS || '3600000', 10) || 3600000;
+// Claimed rows belong to this worker until the lease expires; a crashed worker's rows are reclaimed after that.
+const WORKER_ID = process.env.KWP_WORKER_ID || `${os.hostname()}:${process.pid}`;
+const LEASE_MS = Number.parseInt(process.env.KWP_QUEUE_LEASE_MS || '300000', 10) || 300000;
+// ProjNr for inserts without projnr: {YYYY}/{YY} = current year, {N:<digits>} = zero-padded sequence.
+const PROJNR_PATTERN = process.env.KWP_PROJNR_PATTERN || 'HIVE{YYYY}{N:7}';
+const PROJNR_LOCK_TIMEOUT_MS = 10000;
 
 const supa = createClient(process.env.SUPA_URL, process.env.SUPA_SERVICE_KEY, {
   realtime: {
@@ -15,18 +35,38 @@ const supa = createClient(process.env.SUPA_URL, process.env.SUPA_SERVICE_KEY, {
   },
 });
 
-const poolPromise = new sql.ConnectionPool({
+const mssqlConfig = {
   server: process.env.MSSQL_SERVER,
   database: process.env.MSSQL_DB,
   user: process.env.MSSQL_USER,
   password: process.env.MSSQL_PASS,
   options: { encrypt: false, trustServerCertificate: true },
-}).connect();
+};
+
+// Like server.js: a failed connect is forgotten, so the next queue item (a retry of a
+// connection error) connects again instead of awaiting the same rejected promise.
+let poolPromise = null;
+let connectedPool = null;
+function getPool() {
+  if (!poolPromise) {
+    poolPromise = new sql.ConnectionPool(mssqlConfig).connect().then((pool) => {
+      connectedPool = pool;
+      return pool;
+    }, (err) => {
+      poolPromise = null;
+      throw err;
+    });
+  }
+  return poolPromise;
+}
+getPool().catch((err) => console.error('MSSQL connect failed:', err.message || err));
+const runs = createRunRecorder(supa);
+metrics.trackMssqlPool(() => connectedPool);
 
 async function logTriggerDefinitions() {
   if (process.env.KWP_DEBUG_TRIGGERS !== '1') return;
   try {
-    const pool = await poolPromise;
+    const pool = await getPool();
     const req = new sql.Request(pool);
     const res = await req.query(`
       SELECT
@@ -154,42 +194,13 @@ async function generateAdrNrGes(trx, address, typeTag) {
   return candidate;
 }
 
+// Returns true when the AdrNrGes was generated here.
 async function ensureAdrNrGes(trx, raw, typeTag) {
-  if (!raw || typeof raw !== 'object') return;
-  if (Object.prototype.hasOwnProperty.call(raw, 'AdrNrGes')) return;
-  if (Object.prototype.hasOwnProperty.call(raw, 'adrNrGes')) return;
+  if (!raw || typeof raw !== 'object') return false;
+  if (Object.prototype.hasOwnProperty.call(raw, 'AdrNrGes')) return false;
+  if (Object.prototype.hasOwnProperty.call(raw, 'adrNrGes')) return false;
   raw.AdrNrGes = await generateAdrNrGes(trx, raw, typeTag);
-}
-
-async function ensureOrt(trx, address) {
-  if (!address.plz || !address.ort) {
-    throw new Error('Adresse muss PLZ und Ort enthalten.');
-  }
-  const plzn = address.plzn || address.plz;
-  const ortTyp = Number.isFinite(address.ortTyp) ? address.ortTyp : 0;
-  const request = new sql.Request(trx);
-  request.input('Plz', sql.NVarChar(16), address.plz);
-  request.input('Ort', sql.NVarChar(80), address.ort);
-  const existing = await request.query(
-    'SELECT OrtID FROM dbo.adrOrte WHERE PLZ = @Plz AND Ort = @Ort'
-  );
-  if (existing.recordset.length) {
-    return existing.recordset[0].OrtID;
-  }
-  const nextReq = new sql.Request(trx);
-  const nextIdRes = await nextReq.query('SELECT ISNULL(MAX(OrtID), 0) + 1 AS NextId FROM dbo.adrOrte');
-  const nextId = nextIdRes.recordset[0].NextId;
-  const insertReq = new sql.Request(trx);
-  insertReq.input('OrtID', sql.Int, nextId);
-  insertReq.input('Land', sql.NVarChar(3), address.land || 'DE');
-  insertReq.input('Plz', sql.NVarChar(16), address.plz);
-  insertReq.input('Plzn', sql.NVarChar(16), plzn);
-  insertReq.input('Ort', sql.NVarChar(80), address.ort);
-  insertReq.input('OrtTyp', sql.Int, ortTyp);
-  await insertReq.query(
-    'INSERT INTO dbo.adrOrte (OrtID, Land, PLZ, PLZN, Ort, OrtTyp) VALUES (@OrtID, @Land, @Plz, @Plzn, @Ort, @OrtTyp)'
-  );
-  return nextId;
+  return true;
 }
 
 async function getTableColumns(trx, tableName) {
@@ -296,7 +307,7 @@ function buildSqlType(meta) {
 }
 
 function splitProjectPayload(payload) {
-  const reserved = new Set(['adresse', 'rechnungAdresse', 'bauherrAdresse', 'projekt']);
+  const reserved = new Set(['adresse', 'rechnungAdresse', 'bauherrAdresse', 'projekt', 'operation']);
   const rootProject = {};
   for (const [key, value] of Object.entries(payload || {})) {
     if (reserved.has(key)) continue;
@@ -466,12 +477,19 @@ async function ensureAdresse(trx, adrMeta, raw, baseLabel, defaults) {
   const checkReq = new sql.Request(trx);
   checkReq.input('AdrNrGes', sql.NVarChar(48), data.AdrNrGes);
   const exists = await checkReq.query(`
-    SELECT AdrNrGes, Kontakt1, Kontakt2, Kontakt3
+    SELECT AdrNrGes, Ort, Kontakt1, Kontakt2, Kontakt3
     FROM dbo.adrAdressen
     WHERE AdrNrGes = @AdrNrGes
   `);
   if (exists.recordset.length) {
-    return { adrNrGes: data.AdrNrGes, extras };
+    const existing = exists.recordset[0];
+    return {
+      adrNrGes: data.AdrNrGes,
+      extras,
+      created: false,
+      ortId: existing.Ort ?? null,
+      kontaktIds: { telefon: existing.Kontakt1 ?? null, fax: existing.Kontakt2 ?? null, mail: existing.Kontakt3 ?? null },
+    };
   }
 
   let ortId = data.Ort ?? extras.ortId;
@@ -549,20 +567,21 @@ async function ensureAdresse(trx, adrMeta, raw, baseLabel, defaults) {
   try {
     await insertReq.query(insertSql);
   } catch (err) {
-    throw new Error(`${baseLabel} insert failed: ${err.message || err}`);
+    throw new Error(`${baseLabel} insert failed: ${err.message || err}`, { cause: err });
   }
 
   const mailFallback = data.RechnungsMail ?? raw.rechnungsmail ?? null;
-  await createStandardKontakte(trx, data.AdrNrGes, {
+  const kontaktIds = await createStandardKontakte(trx, data.AdrNrGes, {
     telefon: kontaktExtras.telefon,
     fax: kontaktExtras.fax,
     mail: kontaktExtras.mail ?? mailFallback,
   });
-  return { adrNrGes: data.AdrNrGes, extras };
+  return { adrNrGes: data.AdrNrGes, extras, created: true, ortId: data.Ort, kontaktIds };
 }
 
+// Returns the new KontaktIDs (Kontakt1 = Telefon, Kontakt2 = Fax, Kontakt3 = Mail).
 async function createStandardKontakte(trx, adrNrGes, kontakt) {
-  if (!adrNrGes) return;
+  if (!adrNrGes) return null;
   const req = new sql.Request(trx);
   const maxRes = await req.query(
     'SELECT ISNULL(MAX(KontaktID), 0) AS MaxId FROM dbo.adrKontakte WITH (TABLOCKX, HOLDLOCK)'
@@ -591,27 +610,211 @@ async function createStandardKontakte(trx, adrNrGes, kontakt) {
         Kontakt3 = @Kontakt3
     WHERE AdrNrGes = @AdrNrGes;
   `);
+  return { telefon: baseId + 1, fax: baseId + 2, mail: baseId + 3 };
 }
 
-async function insertProjektDirect(trx, payload) {
+// Per address role what the CRM needs to store the KWP keys on its side.
+function describeAddress(result, generated) {
+  return {
+    adrNrGes: result.adrNrGes,
+    created: result.created,
+    generated,
+    ortId: result.ortId ?? null,
+    kontaktIds: result.kontaktIds ?? null,
+  };
+}
+
+function parseProjNrPattern(pattern, date = new Date()) {
+  const match = String(pattern).match(/^(.*)\{N:(\d+)\}$/);
+  if (!match) {
+    throw new Error(`KWP_PROJNR_PATTERN braucht {N:<Stellen>} am Ende: ${pattern}`);
+  }
+  const year = String(date.getFullYear());
+  const prefix = match[1].replace(/\{YYYY\}/g, year).replace(/\{YY\}/g, year.slice(2));
+  if (/[{}]/.test(prefix)) {
+    throw new Error(`KWP_PROJNR_PATTERN enthält einen unbekannten Platzhalter: ${pattern}`);
+  }
+  return { prefix, digits: Number.parseInt(match[2], 10) };
+}
+
+const escapeLike = (v) => String(v).replace(/[\\[%_]/g, (c) => `[${c}]`);
+
+// Next free ProjNr for PROJNR_PATTERN. The application lock lives until the transaction ends,
+// so concurrent allocations (other workers included) wait instead of picking the same number.
+async function allocateProjNr(trx, projektMeta) {
+  const { prefix, digits } = parseProjNrPattern(PROJNR_PATTERN);
+  const meta = projektMeta.find((col) => col.column_name === 'ProjNr');
+  const maxLen = meta && meta.max_length !== -1 ? (meta.data_type.startsWith('n') ? meta.max_length / 2 : meta.max_length) : null;
+  if (maxLen && prefix.length + digits > maxLen) {
+    throw new Error(`KWP_PROJNR_PATTERN ergibt ${prefix.length + digits} Zeichen, ProjNr erlaubt ${maxLen}.`);
+  }
+
+  const lockReq = new sql.Request(trx);
+  lockReq.input('Resource', sql.NVarChar(255), `kwp-projnr:${prefix}`);
+  lockReq.input('Timeout', sql.Int, PROJNR_LOCK_TIMEOUT_MS);
+  lockReq.output('Result', sql.Int);
+  const lockRes = await lockReq.query(`
+    EXEC @Result = sp_getapplock @Resource = @Resource, @LockMode = 'Exclusive',
+      @LockOwner = 'Transaction', @LockTimeout = @Timeout;
+  `);
+  if (lockRes.output.Result < 0) {
+    // 1222 = lock request timeout, retried like any other lock timeout.
+    throw Object.assign(new Error(`ProjNr-Sperre nicht erhalten (sp_getapplock ${lockRes.output.Result}).`), { number: 1222 });
+  }
+
+  const req = new sql.Request(trx);
+  req.input('Pattern', sql.NVarChar(200), `${escapeLike(prefix)}${'[0-9]'.repeat(digits)}`);
+  const res = await req.query('SELECT MAX(ProjNr) AS MaxProjNr FROM dbo.Projekt WHERE ProjNr LIKE @Pattern');
+  const last = res.recordset[0]?.MaxProjNr;
+  const next = last ? Number.parseInt(last.slice(prefix.length), 10) + 1 : 1;
+  if (String(next).length > digits) {
+    throw new Error(`Nummernkreis ${prefix} ist voll (${digits} Stellen).`);
+  }
+  return `${prefix}${String(next).padStart(digits, '0')}`;
+}
+
+function parseOperation(payload) {
+  const operation = String(payload?.operation ?? 'insert').toLowerCase();
+  if (!QUEUE_OPERATIONS.includes(operation)) {
+    throw new Error(`Unbekannte operation: ${payload.operation} (erlaubt: ${QUEUE_OPERATIONS.join(', ')}).`);
+  }
+  return operation;
+}
+
+// operation insert (Standard) legt an, update ändert ein bestehendes Projekt,
+// upsert ändert, falls die ProjNr existiert, sonst wird angelegt.
+async function processProjektPayload(trx, payload) {
+  const operation = parseOperation(payload);
   const projektMeta = await getTableColumns(trx, 'dbo.Projekt');
-  const adrMeta = await getTableColumns(trx, 'dbo.adrAdressen');
-  const projectRaw = splitProjectPayload(payload);
-  const { data: projectData, metaByName: projectMetaMap } = mapPayloadToColumns(projectRaw, projektMeta, {
-    label: 'projekt',
-  });
+  const projectRaw = toProjektColumns(splitProjectPayload(payload));
+  const project = mapPayloadToColumns(projectRaw, projektMeta, { label: 'projekt' });
 
-  const projnr = projectData.ProjNr || projectData.ProjNr === 0 ? projectData.ProjNr : null;
+  const projnr = project.data.ProjNr || project.data.ProjNr === 0 ? project.data.ProjNr : null;
   if (!projnr) {
-    throw new Error('projnr fehlt.');
+    if (operation === 'update') {
+      throw new Error('projnr fehlt (operation update).');
+    }
+    // Without projnr the project is always new, so upsert becomes an insert as well.
+    project.data.ProjNr = await allocateProjNr(trx, projektMeta);
+    const result = await insertProjektDirect(trx, payload, project);
+    return { ...result, projnrAllocated: true };
+  }
+
+  if (operation !== 'insert') {
+    const current = await loadProjektAddresses(trx, projnr);
+    if (current) return updateProjektDirect(trx, payload, project, current);
+    if (operation === 'update') {
+      throw new Error(`Projekt ${projnr} existiert nicht (operation update).`);
+    }
+  }
+  return insertProjektDirect(trx, payload, project);
+}
+
+async function loadProjektAddresses(trx, projnr) {
+  const req = new sql.Request(trx);
+  req.input('ProjNr', sql.NVarChar(30), projnr);
+  const res = await req.query(
+    'SELECT ProjAdr, RechAdr, BauHrAdr FROM dbo.Projekt WITH (UPDLOCK, HOLDLOCK) WHERE ProjNr = @ProjNr'
+  );
+  return res.recordset[0] || null;
+}
+
+// Changes only the supplied Projekt columns (plus Editdate/Edituser). Address objects in the
+// payload are resolved like on insert and replace ProjAdr/RechAdr/BauHrAdr.
+async function updateProjektDirect(trx, payload, project, current) {
+  const { data: projectData, metaByName: projectMetaMap } = project;
+  const projnr = projectData.ProjNr;
+  delete projectData.ProjNr;
+
+  const adrMeta = await getTableColumns(trx, 'dbo.adrAdressen');
+  const addrDefaults = { user: projectData.Edituser || EDIT_USER, abtnr: projectData.AbtNr ?? null };
+  const addressRoles = [
+    { key: 'adresse', column: 'ProjAdr', tag: 'PROJADR' },
+    { key: 'rechnungAdresse', column: 'RechAdr', tag: 'RECHADR' },
+    { key: 'bauherrAdresse', column: 'BauHrAdr', tag: 'BAUHRADR' },
+  ];
+  let projAdr = projectData.ProjAdr ?? current.ProjAdr;
+  const adressen = {};
+  for (const role of addressRoles) {
+    const raw = payload?.[role.key];
+    if (!raw || typeof raw !== 'object') continue;
+    let adrNrGes;
+    if (role.key !== 'adresse' && raw.sameAsAdresse === true) {
+      adrNrGes = projAdr;
+      adressen[role.key] = { adrNrGes, sameAsAdresse: true };
+    } else {
+      const generated = await ensureAdrNrGes(trx, raw, role.tag);
+      const result = await ensureAdresse(trx, adrMeta, raw, role.key, addrDefaults);
+      adrNrGes = result.adrNrGes;
+      adressen[role.key] = describeAddress(result, generated);
+    }
+    if (projectData[role.column] && projectData[role.column] !== adrNrGes) {
+      throw new Error(`${role.column} passt nicht zur ${role.key}.AdrNrGes.`);
+    }
+    projectData[role.column] = adrNrGes;
+    if (role.key === 'adresse') projAdr = adrNrGes;
+  }
+  // ProjAdr/RechAdr/BauHrAdr sent as plain numbers must point to an existing address.
+  for (const role of addressRoles) {
+    const value = projectData[role.column];
+    if (value == null || adressen[role.key]) continue;
+    const checkReq = new sql.Request(trx);
+    checkReq.input('AdrNrGes', sql.NVarChar(48), value);
+    const exists = await checkReq.query('SELECT 1 FROM dbo.adrAdressen WHERE AdrNrGes = @AdrNrGes');
+    if (!exists.recordset.length) {
+      throw new Error(`${role.column} ${value} nicht in adrAdressen gefunden.`);
+    }
   }
 
+  const adrNrGes = {
+    adresse: projectData.ProjAdr ?? current.ProjAdr,
+    rechnungAdresse: projectData.RechAdr ?? current.RechAdr,
+    bauherrAdresse: projectData.BauHrAdr ?? current.BauHrAdr,
+  };
+  const fields = Object.keys(projectData);
+  if (!fields.length) {
+    return { status: 'unchanged', projnr, adrNrGes, adressen, fields };
+  }
+
+  // Editdate in MSSQL server local time like KWP and the push MERGE (delta watermark, `newest` policy).
+  const stampEditdate = projectMetaMap.has('Editdate') && !Object.prototype.hasOwnProperty.call(projectData, 'Editdate');
+  if (projectMetaMap.has('Edituser') && !Object.prototype.hasOwnProperty.call(projectData, 'Edituser')) {
+    projectData.Edituser = normalizeValueForColumn(EDIT_USER, projectMetaMap.get('Edituser'));
+  }
+  for (const col of Object.keys(projectData)) {
+    if (projectData[col] == null && !projectMetaMap.get(col).is_nullable) {
+      throw new Error(`projekt.${col} darf nicht leer sein.`);
+    }
+  }
+
+  const columns = Object.keys(projectData);
+  const updateReq = new sql.Request(trx);
+  updateReq.input('KeyProjNr', sql.NVarChar(30), projnr);
+  for (const col of columns) {
+    updateReq.input(col, buildSqlType(projectMetaMap.get(col)), projectData[col]);
+  }
+  const setParts = columns.map((col) => `[${col}] = @${col}`);
+  if (stampEditdate) setParts.push('[Editdate] = GETDATE()');
+  const setList = setParts.join(', ');
+  try {
+    await updateReq.query(`UPDATE dbo.Projekt SET ${setList} WHERE ProjNr = @KeyProjNr;`);
+  } catch (err) {
+    throw new Error(`projekt update failed: ${err.message || err}`, { cause: err });
+  }
+  return { status: 'updated', projnr, adrNrGes, adressen, fields };
+}
+
+async function insertProjektDirect(trx, payload, project) {
+  const adrMeta = await getTableColumns(trx, 'dbo.adrAdressen');
+  const projektMeta = await getTableColumns(trx, 'dbo.Projekt');
+  const { data: projectData, metaByName: projectMetaMap } = project;
+
   const baseRaw = payload?.adresse;
   if (!baseRaw) {
     throw new Error('adresse fehlt.');
   }
 
-  await ensureAdrNrGes(trx, baseRaw, 'PROJADR');
+  const projAdrGenerated = await ensureAdrNrGes(trx, baseRaw, 'PROJADR');
 
   const hasRechnung = payload?.rechnungAdresse && typeof payload.rechnungAdresse === 'object';
   const hasBauherr = payload?.bauherrAdresse && typeof payload.bauherrAdresse === 'object';
@@ -621,12 +824,8 @@ async function insertProjektDirect(trx, payload) {
   const rechRaw = rechnungSame ? baseRaw : payload?.rechnungAdresse;
   const bauRaw = bauherrSame ? baseRaw : payload?.bauherrAdresse;
 
-  if (!rechnungSame) {
-    await ensureAdrNrGes(trx, rechRaw, 'RECHADR');
-  }
-  if (!bauherrSame) {
-    await ensureAdrNrGes(trx, bauRaw, 'BAUHRADR');
-  }
+  const rechAdrGenerated = !rechnungSame && (await ensureAdrNrGes(trx, rechRaw, 'RECHADR'));
+  const bauAdrGenerated = !bauherrSame && (await ensureAdrNrGes(trx, bauRaw, 'BAUHRADR'));
 
   const defaultUser = projectData.Createuser || projectData.SachBearb || projectData.Edituser || null;
   const defaultAbtNr = projectData.AbtNr ?? null;
@@ -653,6 +852,16 @@ async function insertProjektDirect(trx, payload) {
   projectData.ProjAdr = projAdr;
   projectData.RechAdr = rechAdr;
   projectData.BauHrAdr = bauAdr;
+  const adrNrGes = { adresse: projAdr, rechnungAdresse: rechAdr, bauherrAdresse: bauAdr };
+  const adressen = {
+    adresse: describeAddress(projAdrResult, projAdrGenerated),
+    rechnungAdresse: rechnungSame
+      ? { adrNrGes: rechAdr, sameAsAdresse: true }
+      : describeAddress(rechAdrResult, rechAdrGenerated),
+    bauherrAdresse: bauherrSame
+      ? { adrNrGes: bauAdr, sameAsAdresse: true }
+      : describeAddress(bauAdrResult, bauAdrGenerated),
+  };
 
   if (!Object.prototype.hasOwnProperty.call(projectData, 'Createdate')) {
     projectData.Createdate = new Date();
@@ -678,7 +887,7 @@ async function insertProjektDirect(trx, payload) {
   checkReq.input('ProjNr', sql.NVarChar(30), projectData.ProjNr);
   const exists = await checkReq.query('SELECT 1 FROM dbo.Projekt WHERE ProjNr = @ProjNr');
   if (exists.recordset.length) {
-    return { status: 'exists', projnr: projectData.ProjNr };
+    return { status: 'exists', projnr: projectData.ProjNr, adrNrGes, adressen };
   }
 
   const columns = Object.keys(projectData);
@@ -693,71 +902,222 @@ async function insertProjektDirect(trx, payload) {
   try {
     await insertReq.query(insertSql);
   } catch (err) {
-    throw new Error(`projekt insert failed: ${err.message || err}`);
+    throw new Error(`projekt insert failed: ${err.message || err}`, { cause: err });
   }
-  return { status: 'inserted', projnr: projectData.ProjNr };
+  return { status: 'inserted', projnr: projectData.ProjNr, adrNrGes, adressen };
 }
 
 const queue = [];
 let processing = false;
-const enqueuedIds = new Set();
 
+// Only the worker holding the claim may write the outcome.
 async function updateQueueRow(id, values) {
   if (!id) return;
   const { error } = await supa
     .schema(QUEUE_SCHEMA)
     .from(QUEUE_TABLE)
-    .update(values)
-    .eq('id', id);
+    .update({ ...values, claimed_by: null, lease_expires_at: null })
+    .eq('id', id)
+    .eq('claimed_by', WORKER_ID);
   if (error) {
     console.error('Queue status update failed:', error.message);
   }
 }
 
-async function handleQueueItem(row) {
-  const payload = parsePayload(row);
-  const id = row.id || payload?.id;
-  const attemptCount = (row.attempt_count || 0) + 1;
+const leaseUntil = () => new Date(Date.now() + LEASE_MS).toISOString();
 
-  await updateQueueRow(id, {
-    status: 'processing',
-    attempt_count: attemptCount,
-  });
+// pending -> processing as one conditional update: of several workers seeing the same row only
+// one gets it back. attempt_count guards against stale rows (e.g. from an older realtime event).
+async function claimQueueRow(row) {
+  const now = new Date().toISOString();
+  const { data, error } = await supa
+    .schema(QUEUE_SCHEMA)
+    .from(QUEUE_TABLE)
+    .update({
+      status: 'processing',
+      attempt_count: (row.attempt_count || 0) + 1,
+      claimed_by: WORKER_ID,
+      claimed_at: now,
+      lease_expires_at: leaseUntil(),
+    })
+    .eq('id', row.id)
+    .eq('status', 'pending')
+    .eq('attempt_count', row.attempt_count || 0)
+    .or(`next_attempt_at.is.null,next_attempt_at.lte.${now}`)
+    .select('*')
+    .maybeSingle();
+  if (error) {
+    console.error(`Queue claim failed for ${row.id}:`, error.message);
+    return null;
+  }
+  return data;
+}
+
+// Extends the lease; false means another worker has reclaimed the row in the meantime.
+async function renewLease(id) {
+  const { data, error } = await supa
+    .schema(QUEUE_SCHEMA)
+    .from(QUEUE_TABLE)
+    .update({ lease_expires_at: leaseUntil() })
+    .eq('id', id)
+    .eq('status', 'processing')
+    .eq('claimed_by', WORKER_ID)
+    .select('id');
+  if (error) {
+    console.error(`Queue lease renewal failed for ${id}:`, error.message);
+    return false;
+  }
+  return data.length > 0;
+}
+
+class LeaseLostError extends Error {}
+
+// Rows left in processing by a crashed worker go back to pending, or to dead once their attempts are used up.
+async function reclaimExpiredLeases() {
+  const now = new Date().toISOString();
+  const reset = { claimed_by: null, lease_expires_at: null, processed_at: now };
+  const [retried, dead] = await Promise.all([
+    supa
+      .schema(QUEUE_SCHEMA)
+      .from(QUEUE_TABLE)
+      .update({ ...reset, status: 'pending', next_attempt_at: null, error: 'Lease abgelaufen (Worker abgebrochen?), wird erneut versucht.' })
+      .eq('status', 'processing')
+      .lt('lease_expires_at', now)
+      .lt('attempt_count', MAX_ATTEMPTS)
+      .select('id'),
+    supa
+      .schema(QUEUE_SCHEMA)
+      .from(QUEUE_TABLE)
+      .update({ ...reset, status: 'dead', next_attempt_at: null, error: `Lease abgelaufen nach ${MAX_ATTEMPTS} Versuchen.` })
+      .eq('status', 'processing')
+      .lt('lease_expires_at', now)
+      .gte('attempt_count', MAX_ATTEMPTS)
+      .select('id'),
+  ]);
+  for (const res of [retried, dead]) {
+    if (res.error) console.error('Queue reclaim failed:', res.error.message);
+  }
+  if (retried.data?.length) console.warn(`Queue: ${retried.data.length} abandoned item(s) returned to pending.`);
+  if (dead.data?.length) console.warn(`Queue: ${dead.data.length} abandoned item(s) marked dead.`);
+  return retried.data || [];
+}
+
+// Connection problems, timeouts, deadlocks and lock timeouts are worth another attempt.
+const TRANSIENT_CODES = new Set(['ESOCKET', 'ECONNRESET', 'ECONNCLOSED', 'ECONNREFUSED', 'ETIMEOUT', 'ETIMEDOUT', 'ELOGIN', 'ENOTOPEN', 'EREQINPROG']);
+const TRANSIENT_SQL_NUMBERS = new Set([-2, 233, 1204, 1205, 1222, 4060, 10053, 10054, 10060, 40197, 40501, 40613, 49918, 49919, 49920]);
+
+function isTransientError(err) {
+  for (let e = err, depth = 0; e && depth < 5; e = e.cause || e.originalError, depth += 1) {
+    if (TRANSIENT_CODES.has(e.code) || TRANSIENT_SQL_NUMBERS.has(e.number)) return true;
+  }
+  return false;
+}
+
+function retryDelayMs(attempt) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+}
+
+// Written to the queue row's result column so the CRM can store the KWP keys.
+function toQueueResult(payload, result) {
+  return {
+    operation: parseOperation(payload),
+    status: result.status,
+    projnr: result.projnr,
+    projnrAllocated: result.projnrAllocated === true,
+    adrNrGes: result.adrNrGes,
+    adressen: result.adressen,
+    fields: result.fields,
+  };
+}
+
+const isDue = (row) => !row.next_attempt_at || Date.parse(row.next_attempt_at) <= Date.now();
+
+async function handleQueueItem(candidate, source) {
+  const row = await claimQueueRow(candidate);
+  if (!row) return; // taken by another worker, already processed or not due
+  const payload = parsePayload(row);
+  const id = row.id;
+  const attemptCount = row.attempt_count;
+  const run = await runs.start('queue', source, { queueId: id, attempt: attemptCount, worker: WORKER_ID });
+  const createdAt = Date.parse(row.created_at);
+  if (Number.isFinite(createdAt)) {
+    metrics.queueLag.observe(Math.max(0, (Date.now() - createdAt) / 1000));
+  }
 
-  const pool = await poolPromise;
-  const trx = new sql.Transaction(pool);
+  const heartbeat = setInterval(() => { renewLease(id); }, Math.max(Math.floor(LEASE_MS / 3), 1000));
+  let trx = null;
   try {
+    const pool = await getPool();
+    trx = new sql.Transaction(pool);
     await trx.begin();
-    const result = await insertProjektDirect(trx, payload);
+    const result = await processProjektPayload(trx, payload);
+    // Never commit work for a row another worker has reclaimed in the meantime.
+    if (!(await renewLease(id))) throw new LeaseLostError(`Lease für Queue-Eintrag ${id} verloren.`);
     await trx.commit();
     await updateQueueRow(id, {
       status: 'done',
       processed_at: new Date().toISOString(),
+      next_attempt_at: null,
       error: result.status === 'exists' ? 'ProjNr exists, skipped insert.' : null,
+      result: toQueueResult(payload, result),
     });
     console.log(`Queue item ${id}: ${result.status} (${result.projnr})`);
+    await runs.finish(run, { result: { [result.status]: 1 } });
+    metrics.queueItems.inc({ outcome: result.status === 'exists' ? 'exists' : 'done' });
+    emitWebhook('queue.done', {
+      queueId: id,
+      status: result.status,
+      projnr: result.projnr,
+      adrNrGes: result.adrNrGes,
+      adressen: result.adressen,
+    });
   } catch (err) {
     try {
-      await trx.rollback();
+      if (trx) await trx.rollback();
     } catch (_) {
       // ignore rollback errors
     }
+    if (err instanceof LeaseLostError) {
+      console.warn(`Queue item ${id}: ${err.message} Rolled back, left to the current owner.`);
+      await runs.finish(run, { error: err });
+      return;
+    }
+    const retry = isTransientError(err) && attemptCount < MAX_ATTEMPTS;
+    const nextAttemptAt = retry ? new Date(Date.now() + retryDelayMs(attemptCount)) : null;
     await updateQueueRow(id, {
-      status: 'error',
+      status: retry ? 'pending' : 'dead',
+      result: null,
       processed_at: new Date().toISOString(),
+      next_attempt_at: nextAttemptAt ? nextAttemptAt.toISOString() : null,
       error: truncateString(err.message || String(err), 2000),
     });
-    console.error('Queue processing error:', err);
+    if (retry) {
+      console.warn(`Queue item ${id}: attempt ${attemptCount}/${MAX_ATTEMPTS} failed, retry at ${nextAttemptAt.toISOString()}:`, err.message || err);
+      setTimeout(fetchPendingQueue, nextAttemptAt.getTime() - Date.now() + 1000);
+    } else {
+      console.error(`Queue item ${id} is dead:`, err);
+    }
+    await runs.finish(run, { error: err });
+    metrics.queueItems.inc({ outcome: 'error' });
+    if (!retry) metrics.queueDead.inc();
+    emitWebhook('queue.error', {
+      queueId: id,
+      projnr: payload?.projnr ?? payload?.ProjNr ?? null,
+      error: err.message || String(err),
+      attempt: attemptCount,
+      status: retry ? 'pending' : 'dead',
+      nextAttemptAt: nextAttemptAt ? nextAttemptAt.toISOString() : null,
+    });
   } finally {
-    if (id) enqueuedIds.delete(id);
+    clearInterval(heartbeat);
   }
 }
 
-function enqueue(row) {
+// Duplicates (realtime + poll) are harmless: only the first claim succeeds.
+function enqueue(row, source) {
   if (!row?.id) return;
-  if (enqueuedIds.has(row.id)) return;
-  enqueuedIds.add(row.id);
-  queue.push(row);
+  if (queue.some((item) => item.row.id === row.id)) return;
+  queue.push({ row, source });
   processQueue();
 }
 
@@ -766,8 +1126,8 @@ async function processQueue() {
   processing = true;
   try {
     while (queue.length) {
-      const row = queue.shift();
-      await handleQueueItem(row);
+      const { row, source } = queue.shift();
+      await handleQueueItem(row, source);
     }
   } finally {
     processing = false;
@@ -775,11 +1135,13 @@ async function processQueue() {
 }
 
 async function fetchPendingQueue() {
+  await reclaimExpiredLeases();
   const { data, error } = await supa
     .schema(QUEUE_SCHEMA)
     .from(QUEUE_TABLE)
     .select('*')
     .eq('status', 'pending')
+    .or(`next_attempt_at.is.null,next_attempt_at.lte.${new Date().toISOString()}`)
     .order('created_at', { ascending: true })
     .limit(POLL_LIMIT);
   if (error) {
@@ -787,7 +1149,7 @@ async function fetchPendingQueue() {
     return;
   }
   for (const row of data || []) {
-    enqueue(row);
+    enqueue(row, 'poll');
   }
 }
 
@@ -796,7 +1158,11 @@ function startPolling() {
   setInterval(fetchPendingQueue, POLL_INTERVAL_MS);
 }
 
-console.log(`Realtime queue starting for ${QUEUE_SCHEMA}.${QUEUE_TABLE}...`);
+parseProjNrPattern(PROJNR_PATTERN); // fail fast on a broken KWP_PROJNR_PATTERN
+console.log(`Realtime queue starting for ${QUEUE_SCHEMA}.${QUEUE_TABLE} as worker ${WORKER_ID}...`);
+if (Number.isFinite(METRICS_PORT) && METRICS_PORT > 0) {
+  metrics.startMetricsServer(METRICS_PORT);
+}
 logTriggerDefinitions();
 fetchPendingQueue();
 startPolling();
@@ -806,13 +1172,17 @@ supa
   .on('postgres_changes', { event: 'INSERT', schema: QUEUE_SCHEMA, table: QUEUE_TABLE }, (payload) => {
     if (!payload?.new) return;
     if (payload.new.status && payload.new.status !== 'pending') return;
-    enqueue(payload.new);
+    if (!isDue(payload.new)) return;
+    enqueue(payload.new, 'realtime');
   })
   .on('postgres_changes', { event: 'UPDATE', schema: QUEUE_SCHEMA, table: QUEUE_TABLE }, (payload) => {
     if (!payload?.new) return;
     if (payload.new.status !== 'pending') return;
-    enqueue(payload.new);
+    // Retries come back as pending with next_attempt_at in the future; polling picks them up.
+    if (!isDue(payload.new)) return;
+    enqueue(payload.new, 'realtime');
   })
   .subscribe((status) => {
     console.log('Realtime status:', status);
+    metrics.setRealtimeStatus(status);
   });
@@ -0,0 +1,139 @@
+// Minimal cron-style scheduler (5 fields: minute hour day-of-month month day-of-week,
+// local time). Supports "*", "*/n", "a-b", "a-b/n" and comma lists.
+
+const FIELD_RANGES = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'weekday', min: 0, max: 7 },
+];
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000;
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+function parseField(part, range) {
+  const values = new Set();
+  for (const item of part.split(',')) {
+    const match = item.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Ungültiger Cron-Teil für ${range.name}: ${item}`);
+    const [, base, stepRaw] = match;
+    const step = stepRaw ? Number.parseInt(stepRaw, 10) : 1;
+    let from = range.min;
+    let to = range.max;
+    if (base !== '*') {
+      const [a, b] = base.split('-').map((v) => Number.parseInt(v, 10));
+      from = a;
+      to = b ?? (stepRaw ? range.max : a);
+    }
+    if (from < range.min || to > range.max || from > to || step < 1) {
+      throw new Error(`Cron-Wert außerhalb ${range.min}-${range.max} für ${range.name}: ${item}`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron-Ausdruck braucht 5 Felder: "${expr}"`);
+  }
+  const [minute, hour, day, month, weekday] = parts.map((part, i) => parseField(part, FIELD_RANGES[i]));
+  if (weekday.has(7)) weekday.add(0);
+  return {
+    expr: parts.join(' '),
+    minute,
+    hour,
+    day,
+    month,
+    weekday,
+    dayRestricted: parts[2] !== '*',
+    weekdayRestricted: parts[4] !== '*',
+  };
+}
+
+// Like cron: when both day-of-month and day-of-week are restricted, either may match.
+function matchesDay(cron, date) {
+  if (!cron.month.has(date.getMonth() + 1)) return false;
+  const dayOk = cron.day.has(date.getDate());
+  const weekdayOk = cron.weekday.has(date.getDay());
+  if (cron.dayRestricted && cron.weekdayRestricted) return dayOk || weekdayOk;
+  if (cron.dayRestricted) return dayOk;
+  if (cron.weekdayRestricted) return weekdayOk;
+  return true;
+}
+
+function nextCronTime(cron, from = new Date()) {
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = from.getTime() + MAX_LOOKAHEAD_DAYS * MAX_TIMER_MS;
+  while (date.getTime() <= limit) {
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+  return null;
+}
+
+// Runs task() at every cron time. Long waits are split into timers of at most a day.
+function createSchedule(name, expr, task) {
+  const cron = parseCron(expr);
+  const state = {
+    name,
+    cron: cron.expr,
+    nextRun: null,
+    lastRun: null,
+    lastOutcome: null,
+    timer: null,
+  };
+
+  function arm() {
+    const next = nextCronTime(cron);
+    state.nextRun = next ? next.toISOString() : null;
+    if (!next) return;
+    const wait = () => {
+      const remaining = next.getTime() - Date.now();
+      if (remaining > 0) {
+        state.timer = setTimeout(wait, Math.min(remaining, MAX_TIMER_MS));
+        return;
+      }
+      state.lastRun = new Date().toISOString();
+      Promise.resolve()
+        .then(() => task())
+        .then((outcome) => { state.lastOutcome = outcome ?? 'done'; })
+        .catch((err) => {
+          state.lastOutcome = 'error';
+          console.error(`Schedule ${name} failed:`, err.message || err);
+        });
+      arm();
+    };
+    wait();
+  }
+
+  function stop() {
+    if (state.timer) clearTimeout(state.timer);
+    state.timer = null;
+    state.nextRun = null;
+  }
+
+  arm();
+  return { state, stop };
+}
+
+module.exports = {
+  parseCron,
+  nextCronTime,
+  createSchedule,
+};
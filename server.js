@@ -1,178 +1,1410 @@
 require('dotenv').config();
 const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
 const express = require('express');
 const sql = require('mssql');
 const swaggerUiDist = require('swagger-ui-dist');
 const { createClient } = require('@supabase/supabase-js');
+const {
+  keyField,
+  buildPullSelectSql,
+  mapPullRow,
+  pushFields,
+  pushTargets,
+  convertPushValue,
+  buildPushTable,
+  mapPushRow,
+  buildPushTempTableSql,
+  buildMergeSql,
+  addressFields,
+  fitString,
+  toISO,
+  toDate,
+} = require('./field-mapping');
+const { ensureOrt, upsertMailKontakt } = require('./kwp-adressen');
+const { RUNS_TABLE, createRunRecorder } = require('./sync-runs');
+const { createSchedule } = require('./scheduler');
+const { createAuth } = require('./auth');
+const { emitWebhook } = require('./webhooks');
+const { createRequestValidator } = require('./openapi-validate');
+const syncSpec = require('./openapi-sync.json');
+const metrics = require('./metrics');
+const {
+  STATUS_COLUMNS,
+  matrix: statusMatrix,
+  isKnownStatus,
+  mapStatus,
+  findStatus,
+  asList,
+} = require('./status-matrix');
 
 // --- Config ---
+const SYNC_STATE_TABLE = process.env.KWP_SYNC_STATE_TABLE || 'kwp_sync_state';
+const PULL_WATERMARK_KEY = 'pull.projekt';
+// tombstone = deleted_at/deleted_reason setzen, delete = Zeile entfernen, off = nichts tun
+const PULL_DELETE_MODES = ['tombstone', 'delete', 'off'];
+const PULL_DELETE_MODE = (process.env.KWP_PULL_DELETE_MODE || 'tombstone').toLowerCase();
+if (!PULL_DELETE_MODES.includes(PULL_DELETE_MODE)) {
+  throw new Error(`KWP_PULL_DELETE_MODE "${process.env.KWP_PULL_DELETE_MODE}" unbekannt (erlaubt: ${PULL_DELETE_MODES.join(', ')}).`);
+}
+const SUPA_PAGE_SIZE = 1000;
+const UNKNOWN_STATUS_SAMPLE = 50;
+const TARGETED_ROWS_SAMPLE = 100;
+// Pull streamt MSSQL-Zeilen und schreibt sie in Batches; ein fehlgeschlagener Batch wird wiederholt.
+const PULL_BATCH_SIZE = Math.max(Number.parseInt(process.env.KWP_PULL_BATCH_SIZE || '500', 10) || 500, 1);
+const PULL_BATCH_RETRIES = Math.max(Number.parseInt(process.env.KWP_PULL_BATCH_RETRIES || '3', 10) || 0, 0);
+const PULL_RETRY_DELAY_MS = Number.parseInt(process.env.KWP_PULL_RETRY_DELAY_MS || '1000', 10) || 1000;
+// kwp = KWP gewinnt, crm = CRM gewinnt, newest = jüngere Änderung gewinnt, hold = Konflikt parken
+const CONFLICT_POLICY = (process.env.KWP_CONFLICT_POLICY || 'kwp').toLowerCase();
+const CONFLICTS_TABLE = process.env.KWP_CONFLICTS_TABLE || 'kwp_sync_conflicts';
+// Zeitzone des MSSQL-Servers: Editdate ist dessen Ortszeit (GETDATE()), mssql liest sie aber als UTC.
+const KWP_TIMEZONE = process.env.KWP_MSSQL_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+new Intl.DateTimeFormat('en-US', { timeZone: KWP_TIMEZONE }); // RangeError on an unknown zone
+const QUEUE_SCHEMA = process.env.KWP_QUEUE_SCHEMA || 'public';
+const QUEUE_TABLE = process.env.KWP_QUEUE_TABLE || 'kwp_project_queue';
+// Queue-Einträge in diesen Status können wieder auf pending gesetzt werden.
+const REQUEUE_STATUSES = ['dead', 'error'];
+
 const supa = createClient(process.env.SUPA_URL, process.env.SUPA_SERVICE_KEY);
-const poolPromise = new sql.ConnectionPool({
+const mssqlConfig = {
   server: process.env.MSSQL_SERVER,
   database: process.env.MSSQL_DB,
   user: process.env.MSSQL_USER,
   password: process.env.MSSQL_PASS,
   options: { encrypt: false, trustServerCertificate: true },
-}).connect();
-
-// --- Helpers ---
-function mapStatus(r) {
-  const a = r.AAuftragStatus, b = r.BAuftragStatus, c = r.AuftragStatus;
-  if (a === 12 && b === 99 && c === 8) return 'Auftrag eingegangen';
-  if (a === 5  && b === 99 && c === 1) return 'Bauvorh. wird nicht ausgeführt';
-  if (a === 6  && b === 99 && c === 2) return 'Bauvorh. neu ausgeschrieben';
-  if (a === 7  && b === 99 && c === 3) return 'Bauvorhmit Ersatzangebot';
-  if (a === 3  && b === 99 && (c === 1 || c === 9)) return 'Auftrag abgeschlossen';
-  if (a === 0  && b === 99 && c === 0) return 'Auftrag noch nicht vergeben';
-  if (a === 12 && b === 99 && c === 7) return 'Auftrag zugesagt';
-  if (a === 99 && b === 1  && c === 8) return 'Kostensammler';
-  if (a === 4  && b === 99 && c === 1) return 'Auftrag nicht erhalten';
-  if (a === 8  && b === 99 && c === 4) return 'Auftragsvergabe zurückgestellt';
-  if (a === 9  && b === 99 && c === 5) return 'Auftrag nicht erhalten, zu teuer';
-  if (a === 10 && b === 99 && c === 6) return 'Auftrag nicht erhalten, sonstige Gründe';
-  return 'Auftrag nicht vergeben';
-}
-
-const toISO = (v) => (v == null || v === '' ? null : new Date(v).toISOString());
-const toFloat = (v) => {
-  if (v == null || v === '') return null;
-  const n = Number(v);
-  return Number.isFinite(n) ? n : null;
-};
-const toDate = (v) => {
-  if (v == null || v === '') return null;
-  const d = new Date(v);
-  return Number.isNaN(d.getTime()) ? null : d;
-};
-const fitString = (v, maxLen) => {
-  if (v == null || v === '') return null;
-  const s = String(v);
-  return maxLen ? s.slice(0, maxLen) : s;
 };
 
-// --- Pull: MSSQL -> Supabase ---
-async function syncToSupabase() {
-  const pool = await poolPromise;
+// A failed connect is forgotten, so the next request (or /ready) tries again instead of
+// every request failing until the process is restarted.
+let poolPromise = null;
+let connectedPool = null;
+function getPool() {
+  if (!poolPromise) {
+    poolPromise = new sql.ConnectionPool(mssqlConfig).connect().then((pool) => {
+      connectedPool = pool;
+      return pool;
+    }, (err) => {
+      poolPromise = null;
+      throw err;
+    });
+  }
+  return poolPromise;
+}
+getPool().catch((err) => console.error('MSSQL connect failed:', err.message || err));
+const runs = createRunRecorder(supa);
+const { requireScope } = createAuth(supa);
+const { validateRequest } = createRequestValidator(syncSpec);
+metrics.trackMssqlPool(() => connectedPool);
+
+// --- Sync state (watermarks) ---
+async function loadSyncState(key) {
+  const { data, error } = await supa
+    .from(SYNC_STATE_TABLE)
+    .select('value')
+    .eq('key', key)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.value ?? null;
+}
+
+async function saveSyncState(key, value) {
+  const { error } = await supa
+    .from(SYNC_STATE_TABLE)
+    .upsert({ key, value, updated_at: new Date().toISOString() }, { onConflict: 'key' });
+  if (error) throw error;
+}
+
+// High-water marks are read before the delta query, so rows changed while the
+// pull runs are picked up again next time instead of being skipped.
+async function readPullWatermark(pool) {
   const res = await pool.request().query(`
     SELECT
-      p.ProjNr, p.ProjBezeichnung, p.ProjAdr, p.RechAdr, p.BauHrAdr,
-      p.AbtNr, p.SachBearb, p.AuftragsSumme, p.Beginn,
-      p.AAuftragStatus, p.BAuftragStatus, p.AuftragStatus,
-      CONCAT(pa.Name, ' ', pa.Vorname, ', ', pa.Strasse, ', ', po.PLZ, ' ', po.Ort) AS ProjInfos,
-      CONCAT(ra.Name, ' ', ra.Vorname, ', ', ra.Strasse, ', ', ro.PLZ, ' ', ro.Ort) AS RechInfos,
-      CONCAT(ba.Name, ' ', ba.Vorname, ', ', ba.Strasse, ', ', bo.PLZ, ' ', bo.Ort) AS BauHrInfos,
-      pa.Vorname, pa.Name, pa.Strasse, po.Ort, po.PLZ, pa.RechnungsMail
-    FROM dbo.Projekt p
-    LEFT JOIN adrAdressen pa ON p.ProjAdr = pa.AdrNrGes
-    LEFT JOIN adrOrte     po ON pa.Ort   = po.OrtID
-    LEFT JOIN adrAdressen ra ON p.RechAdr = ra.AdrNrGes
-    LEFT JOIN adrOrte     ro ON ra.Ort   = ro.OrtID
-    LEFT JOIN adrAdressen ba ON p.BauHrAdr = ba.AdrNrGes
-    LEFT JOIN adrOrte     bo ON ba.Ort     = bo.OrtID;
+      (SELECT MAX(Editdate) FROM dbo.Projekt) AS Projekt,
+      (SELECT MAX(DatumAenderung) FROM dbo.adrAdressen) AS Adressen
   `);
+  const row = res.recordset[0] || {};
+  return { projekt: toISO(row.Projekt), adressen: toISO(row.Adressen) };
+}
 
-  const rows = res.recordset
-    .filter((r) => r.ProjNr)
-    .map((r) => ({
-      projnr: String(r.ProjNr),
-      projbezeichnung: r.ProjBezeichnung ?? null,
-      statusse: mapStatus(r),
-      projadr: r.ProjAdr ?? null,
-      rechadr: r.RechAdr ?? null,
-      bauhradr: r.BauHrAdr ?? null,
-      abtnr: r.AbtNr ?? null,
-      sachbearb: r.SachBearb ?? null,
-      auftragssumme: r.AuftragsSumme ?? null,
-      beginn: toISO(r.Beginn),
-      projinfos: r.ProjInfos ?? null,
-      rechinfos: r.RechInfos ?? null,
-      bauhrinfos: r.BauHrInfos ?? null,
-      vorname: r.Vorname ?? null,
-      name: r.Name ?? null,
-      strasse: r.Strasse ?? null,
-      ort: r.Ort ?? null,
-      plz: r.PLZ ?? null,
-      rechnungsmail: r.RechnungsMail ?? null,
-    }));
+// --- Deletion detection ---
+async function fetchMirroredProjnrs() {
+  const active = new Set();
+  const tombstoned = new Set();
+  for (let from = 0; ; from += SUPA_PAGE_SIZE) {
+    const { data, error } = await supa
+      .from('projekt')
+      .select('projnr, deleted_at')
+      .order('projnr', { ascending: true })
+      .range(from, from + SUPA_PAGE_SIZE - 1);
+    if (error) throw error;
+    for (const row of data || []) {
+      if (row.deleted_at) tombstoned.add(row.projnr);
+      else active.add(row.projnr);
+    }
+    if (!data || data.length < SUPA_PAGE_SIZE) break;
+  }
+  return { active, tombstoned };
+}
+
+async function fetchKwpProjnrs(pool) {
+  const res = await pool.request().query('SELECT ProjNr FROM dbo.Projekt WHERE ProjNr IS NOT NULL');
+  return new Set(res.recordset.map((r) => String(r.ProjNr)));
+}
+
+// Runs after a full pull, which has already cleared the tombstones of projects that are back in KWP.
+// Returns how many projects were tombstoned or deleted.
+async function removeMissingProjekte(pool, mirrored) {
+  if (PULL_DELETE_MODE === 'off') return 0;
+  const kwpProjnrs = await fetchKwpProjnrs(pool);
+  // An empty Projekt table almost certainly means a wrong database, not a mass deletion.
+  if (!kwpProjnrs.size) return 0;
+  // delete also removes rows tombstoned while the mode was still tombstone.
+  const candidates = PULL_DELETE_MODE === 'delete' ? [...mirrored.active, ...mirrored.tombstoned] : [...mirrored.active];
+  const missing = candidates.filter((projnr) => !kwpProjnrs.has(projnr));
 
+  const batch = 500;
+  for (let i = 0; i < missing.length; i += batch) {
+    const chunk = missing.slice(i, i + batch);
+    const query = PULL_DELETE_MODE === 'delete'
+      ? supa.from('projekt').delete()
+      : supa.from('projekt').update({
+        deleted_at: new Date().toISOString(),
+        deleted_reason: 'ProjNr nicht mehr in KWP vorhanden',
+      });
+    const { error } = await query.in('projnr', chunk);
+    if (error) throw error;
+  }
+  return missing.length;
+}
+
+// --- Conflicts ---
+const toTime = (v) => {
+  const d = toDate(v);
+  return d ? d.getTime() : null;
+};
+
+// CRM edits bump updated_at; pull and push set synced_at (and the trigger copies it to
+// updated_at), so updated_at > synced_at means an edit in the CRM that KWP has not seen.
+function crmChangedSinceSync(crmRow) {
+  const updated = toTime(crmRow?.updated_at);
+  if (updated == null) return false;
+  const synced = toTime(crmRow.synced_at);
+  return synced == null || updated > synced;
+}
+
+// Wall clock minus UTC of timeZone at the given instant, in ms.
+function zoneOffsetMs(timeZone, time) {
+  const parts = {};
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+  for (const part of format.formatToParts(new Date(time))) parts[part.type] = part.value;
+  const wallClock = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return wallClock - (time - (((time % 1000) + 1000) % 1000));
+}
+
+// Editdate/kwp_editdate hold KWP local time read as UTC; this returns the real instant.
+// The second pass gets the offset right around DST changes.
+function kwpTimeToUtc(value) {
+  const t = toTime(value);
+  if (t == null) return null;
+  const guess = t - zoneOffsetMs(KWP_TIMEZONE, t);
+  return t - zoneOffsetMs(KWP_TIMEZONE, guess);
+}
+
+function conflictWinner(kwpEditdate, crmUpdatedAt) {
+  if (CONFLICT_POLICY === 'kwp' || CONFLICT_POLICY === 'crm') return CONFLICT_POLICY;
+  if (CONFLICT_POLICY === 'newest') {
+    return (toTime(crmUpdatedAt) ?? 0) > (kwpTimeToUtc(kwpEditdate) ?? 0) ? 'crm' : 'kwp';
+  }
+  return 'hold';
+}
+
+async function recordConflict({ projnr, direction, kwpVersion, crmVersion }) {
+  const { data: open, error: findError } = await supa
+    .from(CONFLICTS_TABLE)
+    .select('id')
+    .eq('projnr', projnr)
+    .eq('status', 'open')
+    .limit(1);
+  if (findError) throw findError;
+  const values = {
+    projnr,
+    direction,
+    kwp_version: kwpVersion ?? null,
+    crm_version: crmVersion ?? null,
+    kwp_editdate: kwpVersion?.kwp_editdate ?? null,
+    crm_updated_at: crmVersion?.updated_at ?? null,
+    status: 'open',
+  };
+  const query = open?.length
+    ? supa.from(CONFLICTS_TABLE).update(values).eq('id', open[0].id)
+    : supa.from(CONFLICTS_TABLE).insert(values);
+  const { error } = await query;
+  if (error) throw error;
+}
+
+async function fetchSupabaseRows(projnrs) {
+  const rows = new Map();
+  const batch = 500;
+  for (let i = 0; i < projnrs.length; i += batch) {
+    const { data, error } = await supa.from('projekt').select('*').in('projnr', projnrs.slice(i, i + batch));
+    if (error) throw error;
+    for (const row of data || []) rows.set(row.projnr, row);
+  }
+  return rows;
+}
+
+// Current KWP state of the given projects, mapped like the pull.
+async function fetchKwpRows(pool, projnrs) {
+  const rows = new Map();
+  const unique = [...new Set(projnrs.map(String))];
+  for (let i = 0; i < unique.length; i += KEY_LOOKUP_CHUNK) {
+    const chunk = unique.slice(i, i + KEY_LOOKUP_CHUNK);
+    const request = pool.request();
+    chunk.forEach((key, idx) => request.input(`k${idx}`, sql.NVarChar(100), key));
+    const res = await request.query(buildPullSelectSql(`
+    WHERE ${keyField.columns[0]} IN (${chunk.map((_, idx) => `@k${idx}`).join(', ')})`));
+    for (const r of res.recordset) {
+      const row = mapPullRow(r);
+      rows.set(row[keyField.supabase], row);
+    }
+  }
+  return rows;
+}
+
+// Decides per pulled row whether it may overwrite the Supabase row.
+async function splitPullConflicts(rows) {
+  const result = { write: rows, held: [], skipped: [] };
+  if (CONFLICT_POLICY === 'kwp' || !rows.length) return result;
+  const crmRows = await fetchSupabaseRows(rows.map((r) => r.projnr));
+  result.write = [];
+  for (const row of rows) {
+    const crm = crmRows.get(row.projnr);
+    if (!crm || !crmChangedSinceSync(crm)) {
+      result.write.push(row);
+      continue;
+    }
+    const kwpChanged = !crm.kwp_editdate || (toTime(row.kwp_editdate) ?? 0) > toTime(crm.kwp_editdate);
+    // Only the CRM changed: keep its edit until it is pushed.
+    const winner = kwpChanged ? conflictWinner(row.kwp_editdate, crm.updated_at) : 'crm';
+    if (winner === 'kwp') {
+      result.write.push(row);
+    } else if (winner === 'hold') {
+      await recordConflict({ projnr: row.projnr, direction: 'pull', kwpVersion: row, crmVersion: crm });
+      result.held.push(row.projnr);
+    } else {
+      result.skipped.push(row.projnr);
+    }
+  }
+  return result;
+}
+
+// Decides per pushed row whether it may overwrite dbo.Projekt. Rows without kwp_editdate
+// (the KWP version the CRM edit is based on) cannot be checked and are written.
+async function splitPushConflicts(pool, items, options = {}) {
+  const keyOf = (item) => String(item[keyField.supabase]);
+  const result = { write: items, held: [], skipped: [] };
+  if (CONFLICT_POLICY === 'crm' || options.force || !items.length) return result;
+  const based = items.filter((item) => item.kwp_editdate != null);
+  const editdates = await findExistingKeys(pool, 'dbo.Projekt', keyField.column, based.map(keyOf), 'Editdate');
+  result.write = [];
+  const heldItems = [];
+  for (const item of items) {
+    const kwpEditdate = editdates.get(keyOf(item));
+    const base = toTime(item.kwp_editdate);
+    if (base == null || kwpEditdate == null || toTime(kwpEditdate) <= base) {
+      result.write.push(item);
+      continue;
+    }
+    const winner = conflictWinner(kwpEditdate, item.updated_at);
+    if (winner === 'crm') result.write.push(item);
+    else if (winner === 'hold') heldItems.push(item);
+    else result.skipped.push(keyOf(item));
+  }
+  if (heldItems.length && !options.dryRun) {
+    const kwpRows = await fetchKwpRows(pool, heldItems.map(keyOf));
+    for (const item of heldItems) {
+      await recordConflict({
+        projnr: keyOf(item),
+        direction: 'push',
+        kwpVersion: kwpRows.get(keyOf(item)) ?? null,
+        crmVersion: item,
+      });
+    }
+  }
+  result.held = heldItems.map(keyOf);
+  return result;
+}
+
+// After a push the Supabase row reflects the new KWP state, so the next pull does not
+// mistake the CRM edit for a conflict.
+async function markPushedInSupabase(stamps) {
+  const syncedAt = new Date().toISOString();
+  const rows = stamps.map((s) => ({ projnr: s.projnr, kwp_editdate: toISO(s.editdate), synced_at: syncedAt }));
   const batch = 500;
   for (let i = 0; i < rows.length; i += batch) {
-    const chunk = rows.slice(i, i + batch);
-    const { error } = await supa.from('projekt').upsert(chunk, { onConflict: 'projnr' });
+    const { error } = await supa.from('projekt').upsert(rows.slice(i, i + batch), { onConflict: 'projnr' });
     if (error) throw error;
   }
-  return rows.length;
+}
+
+// --- Pull: MSSQL -> Supabase ---
+async function syncToSupabase(options = {}) {
+  const endTimer = metrics.pullDuration.startTimer();
+  try {
+    const result = options.filter ? await runTargetedPull(options.filter, options) : await runPull(options);
+    endTimer({ mode: result.mode, status: 'success' });
+    metrics.rowsPulled.inc({ mode: result.mode }, result.count);
+    return result;
+  } catch (err) {
+    endTimer({ mode: options.filter ? 'targeted' : options.full ? 'full' : 'delta', status: 'error' });
+    throw err;
+  }
+}
+
+function mapPulledRecords(recordset) {
+  const rows = recordset
+    .filter((r) => r[keyField.supabase])
+    // A project that is in KWP is never deleted, whatever KWP_PULL_DELETE_MODE was when it got tombstoned.
+    .map((r) => ({ ...mapPullRow(r), deleted_at: null, deleted_reason: null }));
+
+  const unknownStatus = recordset
+    .filter((r) => r[keyField.supabase] && !isKnownStatus(r))
+    .map((r) => ({
+      projnr: String(r[keyField.supabase]),
+      ...Object.fromEntries(STATUS_COLUMNS.map((col) => [col, r[col] ?? null])),
+    }));
+  return { rows, unknownStatus };
+}
+
+function warnUnknownStatus(count) {
+  if (count) console.warn(`Pull: ${count} Projekte mit unbekannter Statuskombination.`);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retries a failed batch with exponential backoff before giving up on the whole run.
+async function withBatchRetry(label, fn) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt > PULL_BATCH_RETRIES) throw err;
+      const delay = PULL_RETRY_DELAY_MS * 2 ** (attempt - 1);
+      console.warn(`Pull: ${label} fehlgeschlagen (Versuch ${attempt}), neuer Versuch in ${delay} ms:`, err.message || err);
+      await sleep(delay);
+    }
+  }
+}
+
+// Streams the query result and hands batches of PULL_BATCH_SIZE raw rows to onBatch.
+// The request is paused while a batch is processed, so only about one batch is in memory.
+function streamPullBatches(request, sqlText, onBatch) {
+  return new Promise((resolve, reject) => {
+    let buffer = [];
+    let pending = Promise.resolve();
+    let failed = false;
+
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      request.pause();
+      try {
+        const cancelResult = request.cancel?.();
+        if (cancelResult?.catch) cancelResult.catch(() => {});
+      } catch (_cancelErr) {
+        // ignore cancel errors
+      }
+      reject(err);
+    };
+
+    request.stream = true;
+    request.on('row', (row) => {
+      if (failed) return;
+      buffer.push(row);
+      if (buffer.length < PULL_BATCH_SIZE) return;
+      request.pause();
+      const rows = buffer;
+      buffer = [];
+      pending = pending
+        .then(() => onBatch(rows))
+        .then(() => { if (!failed) request.resume(); })
+        .catch(fail);
+    });
+    request.on('error', fail);
+    request.on('done', () => {
+      // 'done' also follows an error in stream mode.
+      if (failed) return;
+      pending
+        .then(() => (buffer.length ? onBatch(buffer) : null))
+        .then(resolve)
+        .catch(fail);
+    });
+    request.query(sqlText).catch(() => {});
+  });
+}
+
+async function runPull(options = {}) {
+  const report = options.onProgress || (() => {});
+  const pool = await getPool();
+  report('watermark');
+  const previous = options.full ? null : await loadSyncState(PULL_WATERMARK_KEY);
+  const mode = previous ? 'delta' : 'full';
+  const watermark = await readPullWatermark(pool);
+
+  const request = pool.request();
+  let where = '';
+  if (mode === 'delta') {
+    request.input('SinceProjekt', sql.DateTime, toDate(previous.projekt) ?? new Date(0));
+    request.input('SinceAdressen', sql.DateTime, toDate(previous.adressen) ?? new Date(0));
+    where = `
+    WHERE p.Editdate > @SinceProjekt
+       OR pa.DatumAenderung > @SinceAdressen
+       OR ra.DatumAenderung > @SinceAdressen
+       OR ba.DatumAenderung > @SinceAdressen`;
+  }
+
+  const totals = { read: 0, count: 0, inserted: 0, revived: 0, held: [], skipped: [], unknownStatusCount: 0, unknownStatus: [] };
+  let batch = 0;
+  report('query', { mode });
+  await streamPullBatches(request, buildPullSelectSql(where), async (records) => {
+    batch += 1;
+    const { rows, unknownStatus } = mapPulledRecords(records);
+    totals.read += records.length;
+    totals.unknownStatusCount += unknownStatus.length;
+    totals.unknownStatus.push(...unknownStatus.slice(0, UNKNOWN_STATUS_SAMPLE - totals.unknownStatus.length));
+    report('upsert', { batch, processed: totals.count, read: totals.read });
+
+    const { split, inserted, revived } = await withBatchRetry(`Batch ${batch}`, async () => {
+      const conflicts = await splitPullConflicts(rows);
+      const syncedAt = new Date().toISOString();
+      const writeRows = conflicts.write.map((r) => ({ ...r, synced_at: syncedAt }));
+      const existing = await fetchSupabaseRows(writeRows.map((r) => r.projnr));
+      if (writeRows.length) {
+        const { error } = await supa.from('projekt').upsert(writeRows, { onConflict: 'projnr' });
+        if (error) throw error;
+      }
+      return {
+        split: conflicts,
+        inserted: writeRows.filter((r) => !existing.has(r.projnr)).length,
+        revived: writeRows.filter((r) => existing.get(r.projnr)?.deleted_at).length,
+      };
+    });
+    totals.count += split.write.length;
+    totals.inserted += inserted;
+    totals.revived += revived;
+    totals.held.push(...split.held);
+    totals.skipped.push(...split.skipped);
+  });
+  warnUnknownStatus(totals.unknownStatusCount);
+
+  // Comparing every projnr on both sides is a full-table job, so a delta pull leaves it to the next full pull.
+  const deletionsChecked = mode === 'full';
+  let tombstoned = 0;
+  if (deletionsChecked) {
+    report('deletions', { batch, processed: totals.count, read: totals.read });
+    tombstoned = await removeMissingProjekte(pool, await fetchMirroredProjnrs());
+  }
+
+  await saveSyncState(PULL_WATERMARK_KEY, watermark);
+  return {
+    count: totals.count,
+    inserted: totals.inserted,
+    updated: totals.count - totals.inserted,
+    tombstoned,
+    revived: totals.revived,
+    deletionsChecked,
+    conflictPolicy: CONFLICT_POLICY,
+    conflictsHeld: totals.held,
+    conflictsSkipped: totals.skipped,
+    deleteMode: PULL_DELETE_MODE,
+    unknownStatusCount: totals.unknownStatusCount,
+    unknownStatus: totals.unknownStatus,
+    mode,
+    watermark,
+  };
+}
+
+// --- Targeted pull ---
+// Refreshes single projects or a filtered subset with the same mapping as the full pull.
+// Watermark and deletion detection are left alone.
+class BadRequestError extends Error {}
+
+const escapeLike = (v) => String(v).replace(/[\\[%_]/g, (c) => `[${c}]`);
+
+// Status texts -> OR of the matching dbo.Projekt status column combinations.
+function statusFilterSql(statuses) {
+  const ors = statuses.map((text) => {
+    const entry = findStatus(text);
+    if (!entry) throw new BadRequestError(`Unbekannter Status: ${text}`);
+    const parts = STATUS_COLUMNS.map((col) => {
+      const values = asList(entry[col]).map(Number).filter(Number.isFinite);
+      return `p.${col} IN (${values.join(', ')})`;
+    });
+    return `(${parts.join(' AND ')})`;
+  });
+  return `(${ors.join(' OR ')})`;
+}
+
+const PULL_FILTER_KEYS = ['projnr', 'abtnr', 'projnrPrefix', 'changedSince', 'status'];
+
+const hasPullFilter = (body) => PULL_FILTER_KEYS.some((key) => body?.[key] != null && body[key] !== '');
+
+function parsePullFilter(body) {
+  const filter = {};
+  if (body.projnr != null && body.projnr !== '') filter.projnr = String(body.projnr);
+  if (body.abtnr != null && body.abtnr !== '') {
+    filter.abtnr = asList(body.abtnr).map((v) => {
+      const n = Number(v);
+      if (!Number.isFinite(n)) throw new BadRequestError(`abtnr ist keine Zahl: ${v}`);
+      return n;
+    });
+  }
+  if (body.projnrPrefix) filter.projnrPrefix = String(body.projnrPrefix);
+  if (body.changedSince != null && body.changedSince !== '') {
+    const since = toDate(body.changedSince);
+    if (!since) throw new BadRequestError('changedSince ist kein gültiges Datum.');
+    filter.changedSince = since.toISOString();
+  }
+  if (body.status != null && body.status !== '') {
+    filter.status = asList(body.status).map(String);
+    statusFilterSql(filter.status); // throws on unknown texts
+  }
+  if (!Object.keys(filter).length) {
+    throw new BadRequestError(`Filter braucht mindestens eines von: ${PULL_FILTER_KEYS.join(', ')}.`);
+  }
+  return filter;
+}
+
+function buildPullFilterSql(request, filter) {
+  const where = [];
+  if (filter.projnr) {
+    request.input('ProjNr', sql.NVarChar(100), filter.projnr);
+    where.push(`${keyField.columns[0]} = @ProjNr`);
+  }
+  if (filter.abtnr) {
+    filter.abtnr.forEach((n, i) => request.input(`AbtNr${i}`, sql.Float, n));
+    where.push(`p.AbtNr IN (${filter.abtnr.map((_, i) => `@AbtNr${i}`).join(', ')})`);
+  }
+  if (filter.projnrPrefix) {
+    request.input('ProjNrPrefix', sql.NVarChar(100), `${escapeLike(filter.projnrPrefix)}%`);
+    where.push(`${keyField.columns[0]} LIKE @ProjNrPrefix`);
+  }
+  if (filter.changedSince) {
+    request.input('ChangedSince', sql.DateTime, new Date(filter.changedSince));
+    where.push(`(p.Editdate > @ChangedSince
+       OR pa.DatumAenderung > @ChangedSince
+       OR ra.DatumAenderung > @ChangedSince
+       OR ba.DatumAenderung > @ChangedSince)`);
+  }
+  if (filter.status) where.push(statusFilterSql(filter.status));
+  return `
+    WHERE ${where.join('\n      AND ')}`;
+}
+
+// Streams like runPull, so broad filters (status, date range) stay at one batch in memory.
+// Only the first TARGETED_ROWS_SAMPLE written rows are returned.
+async function runTargetedPull(filter, options = {}) {
+  const report = options.onProgress || (() => {});
+  const pool = await getPool();
+  const request = pool.request();
+  const where = buildPullFilterSql(request, filter);
+
+  const totals = { read: 0, count: 0, inserted: 0, held: [], skipped: [], unknownStatusCount: 0, unknownStatus: [], rows: [] };
+  let batch = 0;
+  report('query', { mode: 'targeted' });
+  await streamPullBatches(request, buildPullSelectSql(where), async (records) => {
+    batch += 1;
+    const { rows, unknownStatus } = mapPulledRecords(records);
+    totals.read += records.length;
+    totals.unknownStatusCount += unknownStatus.length;
+    totals.unknownStatus.push(...unknownStatus.slice(0, UNKNOWN_STATUS_SAMPLE - totals.unknownStatus.length));
+    report('upsert', { batch, processed: totals.count, read: totals.read });
+
+    const { split, writeRows, inserted } = await withBatchRetry(`Batch ${batch}`, async () => {
+      const conflicts = await splitPullConflicts(rows);
+      const syncedAt = new Date().toISOString();
+      const toWrite = conflicts.write.map((r) => ({ ...r, synced_at: syncedAt }));
+      const existing = await fetchSupabaseRows(toWrite.map((r) => r.projnr));
+      if (toWrite.length) {
+        const { error } = await supa.from('projekt').upsert(toWrite, { onConflict: 'projnr' });
+        if (error) throw error;
+      }
+      return { split: conflicts, writeRows: toWrite, inserted: toWrite.filter((r) => !existing.has(r.projnr)).length };
+    });
+    totals.count += writeRows.length;
+    totals.inserted += inserted;
+    totals.held.push(...split.held);
+    totals.skipped.push(...split.skipped);
+    totals.rows.push(...writeRows.slice(0, TARGETED_ROWS_SAMPLE - totals.rows.length));
+  });
+  warnUnknownStatus(totals.unknownStatusCount);
+
+  return {
+    count: totals.count,
+    inserted: totals.inserted,
+    updated: totals.count - totals.inserted,
+    conflictPolicy: CONFLICT_POLICY,
+    conflictsHeld: totals.held,
+    conflictsSkipped: totals.skipped,
+    unknownStatusCount: totals.unknownStatusCount,
+    unknownStatus: totals.unknownStatus,
+    notFound: filter.projnr && !totals.read ? [filter.projnr] : [],
+    mode: 'targeted',
+    filter,
+    rows: totals.rows,
+    rowsTruncated: totals.count > totals.rows.length,
+  };
 }
 
 // --- Push: Supabase/CRM -> MSSQL ---
-async function upsertToMSSQL(items) {
-  if (!items.length) return 0;
-  const pool = await poolPromise;
-
-  const table = new sql.Table('Projekt');
-  table.columns.add('ProjNr', sql.NVarChar(15), { nullable: false });
-  table.columns.add('ProjBezeichnung', sql.NVarChar(sql.MAX), { nullable: true });
-  table.columns.add('ProjAdr', sql.NVarChar(24), { nullable: true });
-  table.columns.add('RechAdr', sql.NVarChar(24), { nullable: true });
-  table.columns.add('BauHrAdr', sql.NVarChar(24), { nullable: true });
-  table.columns.add('AbtNr', sql.Float, { nullable: true });
-  table.columns.add('SachBearb', sql.NVarChar(20), { nullable: true });
-  table.columns.add('AuftragsSumme', sql.Float, { nullable: true });
-  table.columns.add('Beginn', sql.DateTime, { nullable: true });
+const comparable = (v) => {
+  if (v == null) return null;
+  if (v instanceof Date) return v.getTime();
+  return typeof v === 'string' ? v : Number(v);
+};
 
-  for (const r of items) {
-    table.rows.add(
-      fitString(r.projnr, 15),
-      r.projbezeichnung ?? null,
-      fitString(r.projadr, 24),
-      fitString(r.rechadr, 24),
-      fitString(r.bauhradr, 24),
-      toFloat(r.abtnr),
-      fitString(r.sachbearb, 20),
-      toFloat(r.auftragssumme),
-      toDate(r.beginn)
+// Compares the staged rows in the temp table with dbo.Projekt, column by column.
+async function diffPushRows(trx, tmp) {
+  const key = keyField.column;
+  const staged = await new sql.Request(trx).query(`SELECT * FROM ${tmp}`);
+  const current = await new sql.Request(trx).query(`
+    SELECT ${pushTargets.map((target) => `t.${target.column}`).join(', ')}
+    FROM dbo.Projekt t
+    WHERE t.${key} IN (SELECT ${key} FROM ${tmp})
+  `);
+  const currentByKey = new Map(current.recordset.map((r) => [String(r[key]), r]));
+
+  return staged.recordset.map((row) => {
+    const projnr = String(row[key]);
+    const existing = currentByKey.get(projnr);
+    if (!existing) return { projnr, action: 'insert' };
+    const changes = {};
+    for (const target of pushTargets) {
+      if (target.field.key) continue;
+      const next = row[target.column];
+      if (next == null && target.field.keepOnNull) continue;
+      if (comparable(existing[target.column]) !== comparable(next)) {
+        changes[target.column] = { old: existing[target.column] ?? null, new: next ?? null };
+      }
+    }
+    return Object.keys(changes).length
+      ? { projnr, action: 'update', changes }
+      : { projnr, action: 'unchanged' };
+  });
+}
+
+// --- Push validation ---
+const ADDRESS_KEY_COLUMNS = ['ProjAdr', 'RechAdr', 'BauHrAdr'];
+const KEY_LOOKUP_CHUNK = 500;
+const tableColumnsCache = new Map();
+
+async function getTableColumns(pool, tableName) {
+  if (tableColumnsCache.has(tableName)) return tableColumnsCache.get(tableName);
+  const request = pool.request();
+  request.input('TableName', sql.NVarChar(256), tableName);
+  const res = await request.query(`
+    SELECT
+      c.name AS column_name,
+      t.name AS data_type,
+      c.max_length,
+      c.is_nullable,
+      c.is_identity,
+      c.is_computed,
+      dc.definition AS default_definition
+    FROM sys.columns c
+    JOIN sys.types t ON c.user_type_id = t.user_type_id
+    LEFT JOIN sys.default_constraints dc ON c.default_object_id = dc.object_id
+    WHERE c.object_id = OBJECT_ID(@TableName)
+    ORDER BY c.column_id
+  `);
+  const columns = new Map(res.recordset.map((col) => [col.column_name, col]));
+  tableColumnsCache.set(tableName, columns);
+  return columns;
+}
+
+function columnMaxLength(meta) {
+  const type = meta.data_type.toLowerCase();
+  if (!['nvarchar', 'varchar', 'nchar', 'char'].includes(type)) return null;
+  if (meta.max_length === -1) return null;
+  return type.startsWith('n') ? meta.max_length / 2 : meta.max_length;
+}
+
+function checkColumnValue(meta, value) {
+  const type = meta.data_type.toLowerCase();
+  if (['nvarchar', 'varchar', 'nchar', 'char'].includes(type)) {
+    const maxLen = columnMaxLength(meta);
+    if (maxLen && String(value).length > maxLen) return `zu lang (max ${maxLen})`;
+    return null;
+  }
+  if (['int', 'smallint', 'tinyint', 'bigint'].includes(type)) {
+    if (typeof value === 'boolean' || value === '' || !Number.isInteger(Number(value))) return 'keine Ganzzahl';
+    return null;
+  }
+  if (['float', 'real', 'decimal', 'numeric', 'money'].includes(type)) {
+    if (typeof value === 'boolean' || value === '' || !Number.isFinite(Number(value))) return 'keine Zahl';
+    return null;
+  }
+  if (['datetime', 'smalldatetime', 'datetime2', 'date'].includes(type)) {
+    if (Number.isNaN(new Date(value).getTime())) return 'kein gültiges Datum';
+    return null;
+  }
+  return null;
+}
+
+// Looks up which of the given keys exist in table.column, in parameter chunks.
+// The returned map holds valueColumn per found key (the key itself by default).
+async function findExistingKeys(pool, table, column, keys, valueColumn = column) {
+  const found = new Map();
+  const unique = [...new Set(keys)];
+  for (let i = 0; i < unique.length; i += KEY_LOOKUP_CHUNK) {
+    const chunk = unique.slice(i, i + KEY_LOOKUP_CHUNK);
+    const request = pool.request();
+    chunk.forEach((key, idx) => request.input(`k${idx}`, sql.NVarChar(100), key));
+    const res = await request.query(
+      `SELECT ${column} AS k, ${valueColumn} AS v FROM ${table} WHERE ${column} IN (${chunk.map((_, idx) => `@k${idx}`).join(', ')})`
     );
+    for (const row of res.recordset) found.set(String(row.k), row.v);
+  }
+  return found;
+}
+
+async function validatePushRows(pool, items) {
+  const columns = await getTableColumns(pool, 'dbo.Projekt');
+  const requiredColumns = [...columns.values()]
+    .filter((col) => !col.is_identity && !col.is_computed && col.data_type !== 'timestamp')
+    .filter((col) => !col.is_nullable && !col.default_definition)
+    .map((col) => col.column_name);
+  const targetColumns = new Set(pushTargets.map((target) => target.column));
+
+  const keyOf = (item) => (item?.[keyField.supabase] == null ? '' : String(item[keyField.supabase]));
+  const existingProjnrs = await findExistingKeys(pool, 'dbo.Projekt', keyField.column, items.map(keyOf).filter(Boolean));
+  const adrKeys = [];
+  for (const item of items) {
+    for (const target of pushTargets) {
+      if (ADDRESS_KEY_COLUMNS.includes(target.column) && item?.[target.field.supabase] != null) {
+        adrKeys.push(String(item[target.field.supabase]));
+      }
+    }
+  }
+  const existingAdr = await findExistingKeys(pool, 'dbo.adrAdressen', 'AdrNrGes', adrKeys);
+
+  const valid = [];
+  const rejected = [];
+  const seen = new Set();
+  items.forEach((item, index) => {
+    const errors = [];
+    const projnr = keyOf(item);
+    if (!item || typeof item !== 'object') {
+      rejected.push({ index, projnr: null, errors: [{ field: null, message: 'Zeile ist kein Objekt' }] });
+      return;
+    }
+    if (!projnr) errors.push({ field: keyField.supabase, message: 'fehlt' });
+    else if (seen.has(projnr)) errors.push({ field: keyField.supabase, message: 'doppelt im Batch' });
+    seen.add(projnr);
+
+    const values = new Map();
+    for (const field of pushFields) {
+      const value = item[field.supabase];
+      if (value == null || value === '') continue;
+      let converted;
+      try {
+        converted = field.targets.length === 1 ? [value] : convertPushValue(field, value);
+      } catch (err) {
+        errors.push({ field: field.supabase, message: err.message });
+        continue;
+      }
+      field.targets.forEach((target, i) => {
+        const meta = columns.get(target.column);
+        if (!meta) {
+          errors.push({ field: field.supabase, message: `Spalte ${target.column} fehlt in dbo.Projekt` });
+          return;
+        }
+        const problem = checkColumnValue(meta, converted[i]);
+        if (problem) errors.push({ field: field.supabase, message: problem });
+        values.set(target.column, converted[i]);
+        if (ADDRESS_KEY_COLUMNS.includes(target.column) && !existingAdr.has(String(value))) {
+          errors.push({ field: field.supabase, message: `Adresse ${value} nicht in adrAdressen gefunden` });
+        }
+      });
+    }
+
+    if (projnr && !existingProjnrs.has(projnr)) {
+      for (const col of requiredColumns) {
+        if (!targetColumns.has(col)) {
+          errors.push({ field: col, message: 'Pflichtspalte in dbo.Projekt wird vom Push nicht befüllt' });
+        } else if (values.get(col) == null && col !== keyField.column) {
+          const target = pushTargets.find((t) => t.column === col);
+          errors.push({ field: target.field.supabase, message: 'Pflichtfeld für neue Projekte fehlt' });
+        }
+      }
+    }
+
+    if (errors.length) rejected.push({ index, projnr: projnr || null, errors });
+    else valid.push(item);
+  });
+  return { valid, rejected };
+}
+
+async function mergeRows(pool, items, options = {}) {
+  const table = buildPushTable('Projekt');
+  for (const r of items) {
+    table.rows.add(...mapPushRow(r));
   }
 
+  // Temp table, bulk load and MERGE share one connection through the transaction.
   const tmp = '#tmp_proj';
-  await pool.request().batch(`
-    IF OBJECT_ID('tempdb..${tmp}') IS NOT NULL DROP TABLE ${tmp};
-    CREATE TABLE ${tmp} (
-      ProjNr NVARCHAR(15) PRIMARY KEY,
-      ProjBezeichnung NVARCHAR(MAX) NULL,
-      ProjAdr NVARCHAR(24) NULL,
-      RechAdr NVARCHAR(24) NULL,
-      BauHrAdr NVARCHAR(24) NULL,
-      AbtNr FLOAT NULL,
-      SachBearb NVARCHAR(20) NULL,
-      AuftragsSumme FLOAT NULL,
-      Beginn DATETIME NULL
-    );
-  `);
+  const trx = new sql.Transaction(pool);
+  await trx.begin();
+  try {
+    await new sql.Request(trx).batch(buildPushTempTableSql(tmp));
+    await new sql.Request(trx).bulk(table, { keepNulls: true, table: tmp });
 
-  await pool.request().bulk(table, { keepNulls: true, table: tmp });
-  await pool.request().batch(`
-    MERGE dbo.Projekt AS t
-    USING ${tmp} AS s ON t.ProjNr = s.ProjNr
-    WHEN MATCHED THEN UPDATE SET
-      ProjBezeichnung = s.ProjBezeichnung,
-      ProjAdr = s.ProjAdr,
-      RechAdr = s.RechAdr,
-      BauHrAdr = s.BauHrAdr,
-      AbtNr = s.AbtNr,
-      SachBearb = s.SachBearb,
-      AuftragsSumme = s.AuftragsSumme,
-      Beginn = s.Beginn
-    WHEN NOT MATCHED THEN INSERT (
-      ProjNr, ProjBezeichnung, ProjAdr, RechAdr, BauHrAdr,
-      AbtNr, SachBearb, AuftragsSumme, Beginn
-    ) VALUES (
-      s.ProjNr, s.ProjBezeichnung, s.ProjAdr, s.RechAdr, s.BauHrAdr,
-      s.AbtNr, s.SachBearb, s.AuftragsSumme, s.Beginn
-    );
-    DROP TABLE ${tmp};
+    if (options.dryRun) {
+      const rows = await diffPushRows(trx, tmp);
+      await trx.rollback();
+      return rows;
+    }
+
+    const endTimer = metrics.mergeDuration.startTimer();
+    const merged = await new sql.Request(trx).batch(`
+      ${buildMergeSql(tmp, { stampEditdate: true })}
+      SELECT t.${keyField.column} AS projnr, t.Editdate AS editdate
+      FROM dbo.Projekt t
+      WHERE t.${keyField.column} IN (SELECT ${keyField.column} FROM ${tmp});
+      DROP TABLE ${tmp};
+    `).catch((err) => {
+      endTimer({ status: 'error' });
+      throw err;
+    });
+    endTimer({ status: 'success' });
+    await trx.commit();
+    return merged.recordset.map((r) => ({ projnr: String(r.projnr), editdate: r.editdate }));
+  } catch (err) {
+    try {
+      await trx.rollback();
+    } catch (_) {
+      // ignore rollback errors
+    }
+    throw err;
+  }
+}
+
+async function upsertToMSSQL(items, options = {}) {
+  if (!items.length) return { count: 0, accepted: [], rejected: [] };
+  const report = options.onProgress || (() => {});
+  const pool = await getPool();
+  report('validate', { total: items.length });
+  const { valid, rejected } = await validatePushRows(pool, items);
+  const keyOf = (item) => String(item[keyField.supabase]);
+  report('conflicts', { total: valid.length });
+  const conflicts = await splitPushConflicts(pool, valid, options);
+  const conflictInfo = {
+    conflictPolicy: CONFLICT_POLICY,
+    conflictsHeld: conflicts.held,
+    conflictsSkipped: conflicts.skipped,
+  };
+  const toWrite = conflicts.write;
+
+  if (options.dryRun) {
+    const rows = toWrite.length ? await mergeRows(pool, toWrite, { dryRun: true }) : [];
+    const countAction = (action) => rows.filter((r) => r.action === action).length;
+    return {
+      dryRun: true,
+      count: rows.length,
+      inserted: countAction('insert'),
+      updated: countAction('update'),
+      unchanged: countAction('unchanged'),
+      rows,
+      rejected,
+      ...conflictInfo,
+    };
+  }
+
+  let accepted = toWrite.map(keyOf);
+  let stamps = [];
+  report('merge', { total: toWrite.length });
+  if (toWrite.length) {
+    try {
+      stamps = await mergeRows(pool, toWrite);
+    } catch (batchErr) {
+      // Something the validation did not catch: isolate the offending rows one by one.
+      console.error('Push batch failed, retrying row by row:', batchErr.message);
+      accepted = [];
+      for (const item of toWrite) {
+        report('merge', { processed: accepted.length + rejected.length, total: toWrite.length, rowByRow: true });
+        try {
+          stamps.push(...(await mergeRows(pool, [item])));
+          accepted.push(keyOf(item));
+        } catch (err) {
+          rejected.push({
+            index: items.indexOf(item),
+            projnr: keyOf(item),
+            errors: [{ field: null, message: err.message }],
+          });
+        }
+      }
+    }
+  }
+
+  metrics.rowsPushed.inc({ outcome: 'accepted' }, accepted.length);
+  metrics.rowsPushed.inc({ outcome: 'rejected' }, rejected.length);
+  metrics.rowsPushed.inc({ outcome: 'held' }, conflicts.held.length);
+  metrics.rowsPushed.inc({ outcome: 'skipped' }, conflicts.skipped.length);
+  const result = { count: accepted.length, accepted, rejected, ...conflictInfo };
+  report('stamp', { processed: accepted.length, total: toWrite.length });
+  if (stamps.length) {
+    try {
+      await markPushedInSupabase(stamps);
+    } catch (err) {
+      // KWP is already committed at this point; report instead of failing the push.
+      console.error('Supabase sync stamp failed:', err.message || err);
+      result.warning = `Supabase-Stempel fehlgeschlagen: ${err.message || err}`;
+    }
+  }
+  return result;
+}
+
+// --- Push: Adressen -> adrAdressen ---
+const PUSH_USER = process.env.KWP_PUSH_USER || 'kwp-sync';
+
+const hasKey = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+// Address changes come only from body.addresses, keyed by adrNrGes. The address fields in pushed
+// rows are a pull snapshot of whatever projadr pointed to and are not written back.
+function collectAddressChanges(body) {
+  const byAdrNr = new Map();
+  for (const addr of body.addresses || []) {
+    if (!addr || typeof addr !== 'object') continue;
+    const adrNrGes = addr.adrNrGes ?? addr.adrnrges;
+    if (!adrNrGes) continue;
+    const values = {};
+    for (const field of addressFields) {
+      if (hasKey(addr, field.supabase)) values[field.supabase] = addr[field.supabase];
+    }
+    const extra = hasKey(addr, 'mail') ? { mail: addr.mail } : {};
+    if (!Object.keys(values).length && extra.mail === undefined) continue;
+    const key = String(adrNrGes);
+    const previous = byAdrNr.get(key) || { adrNrGes: key, values: {} };
+    byAdrNr.set(key, { ...previous, ...extra, values: { ...previous.values, ...values } });
+  }
+  return [...byAdrNr.values()];
+}
+
+async function updateAddress(trx, change, adrColumns, options) {
+  const findReq = new sql.Request(trx);
+  findReq.input('AdrNrGes', sql.NVarChar(48), change.adrNrGes);
+  const found = await findReq.query(`
+    SELECT a.*, o.PLZ AS OrtPLZ, o.Ort AS OrtName
+    FROM dbo.adrAdressen a
+    LEFT JOIN dbo.adrOrte o ON a.Ort = o.OrtID
+    WHERE a.AdrNrGes = @AdrNrGes
   `);
-  return items.length;
+  if (!found.recordset.length) {
+    return { errors: [{ field: 'adrNrGes', message: 'Adresse nicht in adrAdressen gefunden' }] };
+  }
+  const current = found.recordset[0];
+
+  const errors = [];
+  const set = {};
+  const changes = {};
+  for (const field of addressFields) {
+    if (field.table !== 'adrAdressen' || !hasKey(change.values, field.supabase)) continue;
+    const value = change.values[field.supabase] === '' ? null : change.values[field.supabase];
+    const meta = adrColumns.get(field.column);
+    if (!meta) {
+      errors.push({ field: field.supabase, message: `Spalte ${field.column} fehlt in adrAdressen` });
+      continue;
+    }
+    if (value == null && (field.column === 'Name' || field.column === 'Strasse')) {
+      errors.push({ field: field.supabase, message: 'darf nicht leer sein' });
+      continue;
+    }
+    const problem = value == null ? null : checkColumnValue(meta, value);
+    if (problem) {
+      errors.push({ field: field.supabase, message: problem });
+      continue;
+    }
+    if ((current[field.column] ?? null) !== value) {
+      set[field.column] = value;
+      changes[field.column] = { old: current[field.column] ?? null, new: value };
+    }
+  }
+
+  const plzField = addressFields.find((f) => f.table === 'adrOrte' && f.column === 'PLZ');
+  const ortField = addressFields.find((f) => f.table === 'adrOrte' && f.column === 'Ort');
+  const hasPlz = plzField && hasKey(change.values, plzField.supabase);
+  const hasOrt = ortField && hasKey(change.values, ortField.supabase);
+  if (hasPlz || hasOrt) {
+    const plz = hasPlz ? change.values[plzField.supabase] : current.OrtPLZ;
+    const ort = hasOrt ? change.values[ortField.supabase] : current.OrtName;
+    if (!plz || !ort) {
+      errors.push({ field: hasPlz ? plzField.supabase : ortField.supabase, message: 'PLZ und Ort werden beide benötigt' });
+    } else if (String(plz).length > 16 || String(ort).length > 80) {
+      errors.push({ field: hasPlz ? plzField.supabase : ortField.supabase, message: 'PLZ (max 16) oder Ort (max 80) zu lang' });
+    } else if (String(plz) !== current.OrtPLZ || String(ort) !== current.OrtName) {
+      const ortId = await ensureOrt(trx, { plz: String(plz), ort: String(ort) });
+      set.Ort = ortId;
+      changes.Ort = { old: current.Ort ?? null, new: ortId, plz: String(plz), ort: String(ort) };
+    }
+  }
+
+  // Without an explicit mail the Mail contact follows RechnungsMail, but only when that changed.
+  const mail = change.mail !== undefined ? change.mail : changes.RechnungsMail?.new;
+  if (mail != null && mail !== '' && String(mail).length > 510) {
+    errors.push({ field: change.mail !== undefined ? 'mail' : 'rechnungsmail', message: 'zu lang (max 510)' });
+  }
+  if (errors.length) return { errors };
+
+  if (mail != null && mail !== '') {
+    const kontaktId = await upsertMailKontakt(trx, change.adrNrGes, String(mail));
+    changes.Mail = { kontaktId, new: String(mail) };
+  }
+
+  if (Object.keys(set).length) {
+    if (adrColumns.has('UserAenderung')) {
+      set.UserAenderung = fitString(options.user, columnMaxLength(adrColumns.get('UserAenderung')));
+    }
+    const updateReq = new sql.Request(trx);
+    updateReq.input('AdrNrGes', sql.NVarChar(48), change.adrNrGes);
+    for (const [col, value] of Object.entries(set)) updateReq.input(col, value);
+    const assignments = Object.keys(set).map((col) => `[${col}] = @${col}`);
+    // Server local time like KWP itself; the delta pull watermark is MAX(DatumAenderung).
+    if (adrColumns.has('DatumAenderung')) assignments.push('[DatumAenderung] = GETDATE()');
+    await updateReq.query(`UPDATE dbo.adrAdressen SET ${assignments.join(', ')} WHERE AdrNrGes = @AdrNrGes`);
+  }
+  return { changes };
+}
+
+async function pushAddresses(changes, options = {}) {
+  const result = { accepted: [], rejected: [] };
+  if (!changes.length) return result;
+  const pool = await getPool();
+  const adrColumns = await getTableColumns(pool, 'dbo.adrAdressen');
+  const user = options.user || PUSH_USER;
+
+  // One transaction per address, so a bad address does not block the others.
+  for (const change of changes) {
+    const trx = new sql.Transaction(pool);
+    await trx.begin();
+    try {
+      const outcome = await updateAddress(trx, change, adrColumns, { user });
+      if (outcome.errors || options.dryRun) await trx.rollback();
+      else await trx.commit();
+      if (outcome.errors) result.rejected.push({ adrNrGes: change.adrNrGes, errors: outcome.errors });
+      else result.accepted.push({ adrNrGes: change.adrNrGes, changes: outcome.changes });
+    } catch (err) {
+      try {
+        await trx.rollback();
+      } catch (_) {
+        // ignore rollback errors
+      }
+      result.rejected.push({ adrNrGes: change.adrNrGes, errors: [{ field: null, message: err.message }] });
+    }
+  }
+  return result;
+}
+
+// --- Read API: Projekte ---
+const PROJEKTE_DEFAULT_LIMIT = 50;
+const PROJEKTE_MAX_LIMIT = 500;
+const ADDRESS_ROLES = [
+  { key: 'adresse', alias: 'pa', ort: 'po' },
+  { key: 'rechnungAdresse', alias: 'ra', ort: 'ro' },
+  { key: 'bauherrAdresse', alias: 'ba', ort: 'bo' },
+];
+
+const queryList = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]).filter((x) => x !== '');
+
+function buildProjekteFilter(request, query) {
+  const where = [];
+  const abtnr = queryList(query.abtnr);
+  if (abtnr.length) {
+    abtnr.forEach((v, i) => {
+      const n = Number(v);
+      if (!Number.isFinite(n)) throw new BadRequestError(`abtnr ist keine Zahl: ${v}`);
+      request.input(`AbtNr${i}`, sql.Float, n);
+    });
+    where.push(`p.AbtNr IN (${abtnr.map((_, i) => `@AbtNr${i}`).join(', ')})`);
+  }
+  const sachbearb = queryList(query.sachbearb);
+  if (sachbearb.length) {
+    sachbearb.forEach((v, i) => request.input(`SachBearb${i}`, sql.NVarChar(20), v));
+    where.push(`p.SachBearb IN (${sachbearb.map((_, i) => `@SachBearb${i}`).join(', ')})`);
+  }
+  // Status texts may contain commas, so several statuses are passed as repeated ?status=.
+  const statuses = queryList(query.status);
+  if (statuses.length) where.push(statusFilterSql(statuses));
+  for (const [param, op, name] of [['beginnFrom', '>=', 'BeginnFrom'], ['beginnTo', '<=', 'BeginnTo']]) {
+    if (query[param] == null || query[param] === '') continue;
+    const date = toDate(query[param]);
+    if (!date) throw new BadRequestError(`${param} ist kein gültiges Datum.`);
+    request.input(name, sql.DateTime, date);
+    where.push(`p.Beginn ${op} @${name}`);
+  }
+  if (query.q) {
+    request.input('Q', sql.NVarChar(400), `%${escapeLike(query.q)}%`);
+    where.push('p.ProjBezeichnung LIKE @Q');
+  }
+  return where.length ? `WHERE ${where.join('\n      AND ')}` : '';
+}
+
+function projekteSelectSql(whereSql, pagingSql = '') {
+  const addressColumns = ADDRESS_ROLES.map(({ alias, ort }) => `
+      ${alias}.AdrNrGes AS ${alias}_AdrNrGes, ${alias}.Name AS ${alias}_Name, ${alias}.Vorname AS ${alias}_Vorname,
+      ${alias}.Strasse AS ${alias}_Strasse, ${ort}.PLZ AS ${alias}_PLZ, ${ort}.Ort AS ${alias}_Ort,
+      ${alias}.RechnungsMail AS ${alias}_RechnungsMail`).join(',');
+  return `
+    SELECT
+      p.ProjNr, p.ProjBezeichnung, p.AbtNr, p.SachBearb, p.AuftragsSumme, p.Beginn, p.Editdate,
+      p.AAuftragStatus, p.BAuftragStatus, p.AuftragStatus,${addressColumns}
+    FROM dbo.Projekt p
+    LEFT JOIN adrAdressen pa ON p.ProjAdr = pa.AdrNrGes
+    LEFT JOIN adrOrte     po ON pa.Ort   = po.OrtID
+    LEFT JOIN adrAdressen ra ON p.RechAdr = ra.AdrNrGes
+    LEFT JOIN adrOrte     ro ON ra.Ort   = ro.OrtID
+    LEFT JOIN adrAdressen ba ON p.BauHrAdr = ba.AdrNrGes
+    LEFT JOIN adrOrte     bo ON ba.Ort     = bo.OrtID
+    ${whereSql}
+    ORDER BY p.ProjNr
+    ${pagingSql};
+  `;
+}
+
+async function fetchKontakte(pool, adrNrs) {
+  const unique = [...new Set(adrNrs.filter(Boolean).map(String))];
+  const byAdr = new Map();
+  for (let i = 0; i < unique.length; i += KEY_LOOKUP_CHUNK) {
+    const chunk = unique.slice(i, i + KEY_LOOKUP_CHUNK);
+    const request = pool.request();
+    chunk.forEach((key, idx) => request.input(`k${idx}`, sql.NVarChar(48), key));
+    const res = await request.query(`
+      SELECT KontaktID, AdrNrGes, KontaktArt, KontaktName, Kontakt
+      FROM dbo.adrKontakte
+      WHERE AdrNrGes IN (${chunk.map((_, idx) => `@k${idx}`).join(', ')})
+      ORDER BY AdrNrGes, KontaktArt, KontaktID
+    `);
+    for (const k of res.recordset) {
+      const list = byAdr.get(k.AdrNrGes) || [];
+      list.push({ kontaktId: k.KontaktID, art: k.KontaktArt, name: k.KontaktName, kontakt: k.Kontakt });
+      byAdr.set(k.AdrNrGes, list);
+    }
+  }
+  return byAdr;
+}
+
+function mapProjektRow(r, kontakte) {
+  const item = {
+    projnr: String(r.ProjNr),
+    projbezeichnung: r.ProjBezeichnung ?? null,
+    status: mapStatus(r),
+    statusCodes: Object.fromEntries(STATUS_COLUMNS.map((col) => [col, r[col] ?? null])),
+    abtnr: r.AbtNr ?? null,
+    sachbearb: r.SachBearb ?? null,
+    auftragssumme: r.AuftragsSumme ?? null,
+    beginn: toISO(r.Beginn),
+    editdate: toISO(r.Editdate),
+  };
+  for (const { key, alias } of ADDRESS_ROLES) {
+    const adrNrGes = r[`${alias}_AdrNrGes`];
+    item[key] = adrNrGes
+      ? {
+        adrNrGes,
+        name: r[`${alias}_Name`] ?? null,
+        vorname: r[`${alias}_Vorname`] ?? null,
+        strasse: r[`${alias}_Strasse`] ?? null,
+        plz: r[`${alias}_PLZ`] ?? null,
+        ort: r[`${alias}_Ort`] ?? null,
+        rechnungsmail: r[`${alias}_RechnungsMail`] ?? null,
+        kontakte: kontakte.get(adrNrGes) || [],
+      }
+      : null;
+  }
+  return item;
+}
+
+async function readProjekte(query) {
+  const pool = await getPool();
+  const limit = Math.min(Math.max(Number.parseInt(query.limit, 10) || PROJEKTE_DEFAULT_LIMIT, 1), PROJEKTE_MAX_LIMIT);
+  const offset = Math.max(Number.parseInt(query.offset, 10) || 0, 0);
+  const request = pool.request();
+  const whereSql = buildProjekteFilter(request, query);
+  request.input('Offset', sql.Int, offset);
+  request.input('Limit', sql.Int, limit);
+  // Counted separately, so total stays right when offset is past the last row. The filter only uses p.
+  const res = await request.query(`
+    SELECT COUNT(*) AS Total FROM dbo.Projekt p ${whereSql};
+    ${projekteSelectSql(whereSql, 'OFFSET @Offset ROWS FETCH NEXT @Limit ROWS ONLY')}`);
+  const [countRows, rows] = res.recordsets;
+  const adrNrs = rows.flatMap((r) => ADDRESS_ROLES.map(({ alias }) => r[`${alias}_AdrNrGes`]));
+  const kontakte = await fetchKontakte(pool, adrNrs);
+  return {
+    total: countRows[0].Total,
+    limit,
+    offset,
+    items: rows.map((r) => mapProjektRow(r, kontakte)),
+  };
+}
+
+async function readProjekt(projnr) {
+  const pool = await getPool();
+  const request = pool.request();
+  request.input('ProjNr', sql.NVarChar(30), projnr);
+  const res = await request.query(projekteSelectSql('WHERE p.ProjNr = @ProjNr'));
+  if (!res.recordset.length) return null;
+  const r = res.recordset[0];
+  const kontakte = await fetchKontakte(pool, ADDRESS_ROLES.map(({ alias }) => r[`${alias}_AdrNrGes`]));
+  return mapProjektRow(r, kontakte);
+}
+
+// --- Jobs ---
+// Pull and push run as background jobs; state lives in memory and is kept for the
+// last JOB_HISTORY_LIMIT finished jobs.
+const JOB_HISTORY_LIMIT = 100;
+const jobs = new Map();
+const jobQueues = new Map();
+
+function publicJob(job) {
+  const { run, ...rest } = job;
+  return rest;
+}
+
+function findActiveJob(type) {
+  return [...jobs.values()].find((job) => job.type === type && (job.state === 'running' || job.state === 'queued'));
+}
+
+function pruneJobs() {
+  const finished = [...jobs.values()].filter((job) => job.state === 'done' || job.state === 'error');
+  for (const job of finished.slice(0, Math.max(0, finished.length - JOB_HISTORY_LIMIT))) {
+    jobs.delete(job.id);
+  }
+}
+
+// Webhooks for finished jobs. A push with rejected rows or addresses also sends push.failed.
+function notifyJobFinished(job) {
+  const base = { jobId: job.id, runId: job.runId, trigger: job.trigger, params: job.params };
+  if (job.state === 'error') {
+    emitWebhook(`${job.type}.failed`, { ...base, error: job.error });
+    return;
+  }
+  const result = job.result || {};
+  if (job.type === 'pull') {
+    emitWebhook('pull.completed', {
+      ...base,
+      mode: result.mode,
+      count: result.count,
+      inserted: result.inserted,
+      updated: result.updated,
+      tombstoned: result.tombstoned ?? 0,
+      projnrs: result.mode === 'targeted' ? result.rows.map((r) => r.projnr) : undefined,
+    });
+    return;
+  }
+  if (result.dryRun) return;
+  emitWebhook('push.completed', {
+    ...base,
+    count: result.count,
+    accepted: result.accepted,
+    conflictsHeld: result.conflictsHeld,
+    conflictsSkipped: result.conflictsSkipped,
+    addresses: result.addresses?.accepted.map((a) => a.adrNrGes),
+  });
+  const rejected = result.rejected || [];
+  const rejectedAddresses = result.addresses?.rejected || [];
+  if (rejected.length || rejectedAddresses.length) {
+    emitWebhook('push.failed', {
+      ...base,
+      error: `${rejected.length} Zeilen und ${rejectedAddresses.length} Adressen abgelehnt.`,
+      rejected,
+      rejectedAddresses,
+    });
+  }
+}
+
+async function executeJob(job) {
+  job.state = 'running';
+  job.startedAt = new Date().toISOString();
+  const run = await runs.start(job.type, job.trigger, { ...job.params, jobId: job.id });
+  job.runId = run?.id ?? null;
+  const onProgress = (phase, progress = {}) => {
+    job.phase = phase;
+    job.progress = { ...job.progress, ...progress };
+  };
+  try {
+    job.result = await job.run(onProgress);
+    job.state = 'done';
+    job.phase = 'done';
+    await runs.finish(run, { result: job.result });
+    metrics.syncRuns.inc({ type: job.type, status: 'success' });
+    notifyJobFinished(job);
+  } catch (err) {
+    console.error(`Job ${job.id} (${job.type}) failed:`, err);
+    job.state = 'error';
+    job.error = err.message || String(err);
+    await runs.finish(run, { error: err });
+    metrics.syncRuns.inc({ type: job.type, status: 'error' });
+    notifyJobFinished(job);
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    pruneJobs();
+  }
+}
+
+// Jobs of one type run one after another. With reject=true a second job is refused while
+// one is queued or running (returns the active job instead).
+function startJob(type, params, run, options = {}) {
+  const active = findActiveJob(type);
+  if (active && options.reject) return { job: active, rejected: true };
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    trigger: options.trigger || 'api',
+    runId: null,
+    params,
+    state: 'queued',
+    phase: null,
+    progress: {},
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    run,
+  };
+  jobs.set(job.id, job);
+  const previous = jobQueues.get(type) || Promise.resolve();
+  const next = previous.then(() => executeJob(job));
+  jobQueues.set(type, next);
+  return { job, done: next, rejected: false };
+}
+
+// Responds 202 with the job id, or with the result when the caller asked for ?wait=1.
+async function respondWithJob(req, res, started) {
+  const { job, done, rejected } = started;
+  if (rejected) {
+    return res.status(409).json({
+      ok: false,
+      error: `${job.type} läuft bereits.`,
+      job: publicJob(job),
+    });
+  }
+  if (!['1', 'true'].includes(String(req.query.wait || '').toLowerCase())) {
+    return res.status(202).json({ ok: true, jobId: job.id, job: publicJob(job) });
+  }
+  await done;
+  if (job.state === 'error') return res.status(500).json({ ok: false, jobId: job.id, error: job.error });
+  return res.json({ ok: true, jobId: job.id, ...job.result });
 }
 
 // --- API ---
@@ -187,16 +1419,322 @@ app.get(['/docs', '/docs/'], (_req, res) => {
 app.get('/openapi.json', (_req, res) => {
   res.sendFile(path.join(__dirname, 'openapi.json'));
 });
+app.get('/openapi-sync.json', (_req, res) => {
+  res.sendFile(path.join(__dirname, 'openapi-sync.json'));
+});
+
+app.get('/status-matrix', requireScope('read'), validateRequest, (_req, res) => {
+  res.json({ columns: STATUS_COLUMNS, fallback: statusMatrix.fallback, statuses: statusMatrix.statuses });
+});
+
+// Targeted pulls queue behind a running pull instead of being rejected.
+async function startTargetedPull(req, res, body) {
+  let filter;
+  try {
+    filter = parsePullFilter(body);
+  } catch (e) {
+    if (e instanceof BadRequestError) return res.status(400).json({ ok: false, error: e.message });
+    throw e;
+  }
+  const started = startJob('pull', { filter }, (onProgress) => syncToSupabase({ filter, onProgress }));
+  await respondWithJob(req, res, started);
+}
+
+app.post('/sync/pull', requireScope('pull'), validateRequest, async (req, res) => {
+  if (hasPullFilter(req.body)) return startTargetedPull(req, res, req.body);
+  const full = ['1', 'true'].includes(String(req.query.full ?? req.body?.full ?? '').toLowerCase());
+  const started = startJob('pull', { full }, (onProgress) => syncToSupabase({ full, onProgress }), { reject: true });
+  await respondWithJob(req, res, started);
+});
+
+app.post('/sync/pull/:projnr', requireScope('pull'), validateRequest, (req, res) => startTargetedPull(req, res, { projnr: req.params.projnr }));
+
+app.post('/sync/push', requireScope('push'), validateRequest, async (req, res) => {
+  const dryRun = req.body.dryRun === true;
+  const rows = req.body.rows || [];
+  // The authenticated caller, not the body, decides who shows up in UserAenderung.
+  const user = req.auth?.name || req.body.user || PUSH_USER;
+  const started = startJob('push', { dryRun, rows: rows.length, addresses: (req.body.addresses || []).length }, async (onProgress) => {
+    const result = await upsertToMSSQL(rows, { dryRun, onProgress });
+    const addressChanges = collectAddressChanges(req.body);
+    onProgress('addresses', { total: addressChanges.length });
+    const addresses = await pushAddresses(addressChanges, { dryRun, user });
+    return { ...result, addresses };
+  });
+  await respondWithJob(req, res, started);
+});
+
+app.get('/sync/runs', requireScope('read'), validateRequest, async (req, res) => {
+  try {
+    let query = supa
+      .from(RUNS_TABLE)
+      .select('*')
+      .order('started_at', { ascending: false })
+      .limit(Math.min(Number.parseInt(req.query.limit || '100', 10) || 100, 1000));
+    if (req.query.type) query = query.eq('type', req.query.type);
+    if (req.query.status) query = query.eq('status', req.query.status);
+    if (req.query.trigger) query = query.eq('trigger', req.query.trigger);
+    if (req.query.since) query = query.gte('started_at', req.query.since);
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json({ ok: true, runs: data });
+  } catch (e) { console.error(e); res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.get('/sync/jobs', requireScope('read'), validateRequest, (req, res) => {
+  const list = [...jobs.values()]
+    .filter((job) => !req.query.type || job.type === req.query.type)
+    .filter((job) => !req.query.state || job.state === req.query.state)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(publicJob);
+  res.json({ ok: true, jobs: list });
+});
 
-app.post('/sync/pull', async (_req, res) => {
-  try { res.json({ ok: true, count: await syncToSupabase() }); }
-  catch (e) { console.error(e); res.status(500).json({ ok: false, error: e.message }); }
+app.get('/sync/jobs/:id', requireScope('read'), validateRequest, (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: 'Job nicht gefunden.' });
+  res.json({ ok: true, job: publicJob(job) });
 });
 
-app.post('/sync/push', async (req, res) => {
-  try { res.json({ ok: true, count: await upsertToMSSQL(req.body.rows || []) }); }
-  catch (e) { console.error(e); res.status(500).json({ ok: false, error: e.message }); }
+app.get('/projekte', requireScope('read'), validateRequest, async (req, res) => {
+  try { res.json({ ok: true, ...(await readProjekte(req.query)) }); }
+  catch (e) {
+    if (e instanceof BadRequestError) return res.status(400).json({ ok: false, error: e.message });
+    console.error(e); res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/projekte/:projnr', requireScope('read'), validateRequest, async (req, res) => {
+  try {
+    const item = await readProjekt(req.params.projnr);
+    if (!item) return res.status(404).json({ ok: false, error: 'Projekt nicht gefunden.' });
+    res.json({ ok: true, item });
+  } catch (e) { console.error(e); res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.get('/sync/queue', requireScope('read'), validateRequest, async (req, res) => {
+  try {
+    let query = supa
+      .schema(QUEUE_SCHEMA)
+      .from(QUEUE_TABLE)
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(Math.min(Number.parseInt(req.query.limit || '100', 10) || 100, 1000));
+    if (req.query.status) query = query.eq('status', req.query.status);
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json({ ok: true, items: data });
+  } catch (e) { console.error(e); res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// Resets dead (or legacy error) items so the worker picks them up again with a fresh retry budget.
+async function requeueItems(ids) {
+  let query = supa
+    .schema(QUEUE_SCHEMA)
+    .from(QUEUE_TABLE)
+    .update({
+      status: 'pending',
+      attempt_count: 0,
+      next_attempt_at: null,
+      processed_at: null,
+      error: null,
+      claimed_by: null,
+      claimed_at: null,
+      lease_expires_at: null,
+      result: null,
+    })
+    .in('status', REQUEUE_STATUSES);
+  if (ids) query = query.in('id', ids);
+  const { data, error } = await query.select('id');
+  if (error) throw error;
+  return data.map((row) => row.id);
+}
+
+app.post('/sync/queue/requeue', requireScope('push'), validateRequest, async (req, res) => {
+  try {
+    const ids = req.body?.ids?.length ? req.body.ids : null;
+    if (!ids && req.body?.all !== true) {
+      return res.status(400).json({ ok: false, error: 'ids oder "all": true angeben.' });
+    }
+    res.json({ ok: true, requeued: await requeueItems(ids) });
+  } catch (e) { console.error(e); res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.post('/sync/queue/:id/requeue', requireScope('push'), validateRequest, async (req, res) => {
+  try {
+    const requeued = await requeueItems([req.params.id]);
+    if (!requeued.length) {
+      return res.status(404).json({ ok: false, error: `Kein Queue-Eintrag mit Status ${REQUEUE_STATUSES.join('/')} gefunden.` });
+    }
+    res.json({ ok: true, requeued });
+  } catch (e) { console.error(e); res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.get('/sync/conflicts', requireScope('read'), validateRequest, async (req, res) => {
+  try {
+    let query = supa
+      .from(CONFLICTS_TABLE)
+      .select('*')
+      .eq('status', req.query.status || 'open')
+      .order('created_at', { ascending: false })
+      .limit(Math.min(Number.parseInt(req.query.limit || '200', 10) || 200, 1000));
+    if (req.query.projnr) query = query.eq('projnr', req.query.projnr);
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json({ ok: true, policy: CONFLICT_POLICY, conflicts: data });
+  } catch (e) { console.error(e); res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.post('/sync/conflicts/:id/resolve', requireScope('push'), validateRequest, async (req, res) => {
+  const side = req.body?.side;
+  if (side !== 'kwp' && side !== 'crm') {
+    return res.status(400).json({ ok: false, error: 'side muss "kwp" oder "crm" sein.' });
+  }
+  try {
+    const { data: conflict, error } = await supa
+      .from(CONFLICTS_TABLE)
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!conflict) return res.status(404).json({ ok: false, error: 'Konflikt nicht gefunden.' });
+    if (conflict.status !== 'open') {
+      return res.status(409).json({ ok: false, error: `Konflikt ist bereits ${conflict.status}.` });
+    }
+
+    let result;
+    if (side === 'kwp') {
+      const pool = await getPool();
+      const row = (await fetchKwpRows(pool, [conflict.projnr])).get(conflict.projnr);
+      if (!row) return res.status(409).json({ ok: false, error: 'Projekt existiert nicht mehr in KWP.' });
+      const { error: upsertError } = await supa
+        .from('projekt')
+        .upsert({ ...row, synced_at: new Date().toISOString() }, { onConflict: 'projnr' });
+      if (upsertError) throw upsertError;
+      result = { count: 1 };
+    } else {
+      result = await upsertToMSSQL([conflict.crm_version], { force: true });
+      if (result.rejected.length) {
+        return res.status(422).json({ ok: false, ...result });
+      }
+    }
+
+    const { error: updateError } = await supa
+      .from(CONFLICTS_TABLE)
+      .update({ status: 'resolved', resolution: side, resolved_at: new Date().toISOString() })
+      .eq('id', conflict.id);
+    if (updateError) throw updateError;
+    res.json({ ok: true, id: conflict.id, resolution: side, ...result });
+  } catch (e) { console.error(e); res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// --- Health ---
+const KWP_API_BASE_URL = (process.env.KWP_API_BASE_URL || '').replace(/\/$/, '');
+const READY_TIMEOUT_MS = Number.parseInt(process.env.KWP_READY_TIMEOUT_MS || '5000', 10);
+const READY_CHECK_KWP_API = process.env.KWP_READY_CHECK_API === '1';
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label}: Timeout nach ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function timedCheck(label, fn) {
+  const started = Date.now();
+  try {
+    await withTimeout(fn(), READY_TIMEOUT_MS, label);
+    return { ok: true, latencyMs: Date.now() - started };
+  } catch (err) {
+    return { ok: false, latencyMs: Date.now() - started, error: err.message || String(err) };
+  }
+}
+
+function checkKwpHello() {
+  const url = new URL(`${KWP_API_BASE_URL}/api/test/Hello`);
+  const lib = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = lib.get(url, { headers: { 'X-KWP-VERSION': '99' } }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => (data += chunk));
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300 && data.includes('Hello')) resolve();
+        else reject(new Error(`HTTP ${res.statusCode}: ${data.trim().slice(0, 200)}`));
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+app.get('/metrics', requireScope('read', { auditSuccess: false }), metrics.metricsHandler);
+
+app.get('/health', (_req, res) => {
+  res.json({ ok: true, uptimeSec: Math.round(process.uptime()), pid: process.pid });
+});
+
+app.get('/ready', async (_req, res) => {
+  const [mssql, supabase, kwpApi] = await Promise.all([
+    timedCheck('mssql', async () => {
+      const pool = await getPool();
+      await pool.request().query('SELECT 1 AS ok');
+    }),
+    timedCheck('supabase', async () => {
+      const { error } = await supa.from('projekt').select('projnr').limit(1);
+      if (error) throw new Error(error.message);
+    }),
+    READY_CHECK_KWP_API && KWP_API_BASE_URL
+      ? timedCheck('kwpApi', checkKwpHello)
+      : Promise.resolve({ ok: true, skipped: true }),
+  ]);
+  const checks = { mssql, supabase, kwpApi };
+  const ok = Object.values(checks).every((check) => check.ok);
+  res.status(ok ? 200 : 503).json({ ok, checks });
+});
+
+// --- Scheduler ---
+// Cron-Ausdrücke für wiederkehrende Pulls (lokale Zeit), leer = aus.
+const PULL_SCHEDULES = [
+  { name: 'delta', cron: process.env.KWP_SCHEDULE_DELTA, full: false },
+  { name: 'full', cron: process.env.KWP_SCHEDULE_FULL, full: true },
+].filter((s) => s.cron && s.cron.trim());
+const schedules = [];
+
+function startSchedules() {
+  for (const def of PULL_SCHEDULES) {
+    const schedule = createSchedule(def.name, def.cron, () => {
+      const { job, rejected } = startJob(
+        'pull',
+        { full: def.full, schedule: def.name },
+        (onProgress) => syncToSupabase({ full: def.full, onProgress }),
+        { reject: true, trigger: 'scheduler' }
+      );
+      if (rejected) {
+        console.log(`Schedule ${def.name}: pull ${job.id} läuft noch, übersprungen.`);
+        return 'skipped';
+      }
+      schedule.state.lastJobId = job.id;
+      return 'started';
+    });
+    schedule.state.full = def.full;
+    schedules.push(schedule);
+    console.log(`Schedule ${def.name} (${def.cron}), nächster Lauf ${schedule.state.nextRun}`);
+  }
+}
+
+app.get('/sync/schedule', requireScope('read'), validateRequest, (_req, res) => {
+  res.json({
+    ok: true,
+    schedules: schedules.map(({ state }) => {
+      const { timer, ...rest } = state;
+      return rest;
+    }),
+  });
 });
 
 const port = process.env.PORT || 4000;
-app.listen(port, () => console.log(`kwp-sync-api listening on :${port}`));
+app.listen(port, () => {
+  console.log(`kwp-sync-api listening on :${port}`);
+  startSchedules();
+});
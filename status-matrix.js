@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+
+// Statusmatrix (AAuftragStatus, BAuftragStatus, AuftragStatus) <-> Statustext.
+// Standard ist status-matrix.json, KWP_STATUS_MATRIX kann auf eine eigene Datei zeigen.
+const MATRIX_FILE = process.env.KWP_STATUS_MATRIX
+  ? path.resolve(process.env.KWP_STATUS_MATRIX)
+  : path.join(__dirname, 'status-matrix.json');
+
+const STATUS_COLUMNS = ['AAuftragStatus', 'BAuftragStatus', 'AuftragStatus'];
+
+const asList = (v) => (Array.isArray(v) ? v : [v]);
+
+function loadStatusMatrix(file = MATRIX_FILE) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const statuses = (config.statuses || []).map((entry) => {
+    if (!entry.text) throw new Error('Statusmatrix: Eintrag ohne "text".');
+    for (const col of STATUS_COLUMNS) {
+      if (entry[col] == null) throw new Error(`Statusmatrix: "${entry.text}" ohne ${col}.`);
+    }
+    return entry;
+  });
+  return { fallback: config.fallback ?? null, statuses };
+}
+
+const matrix = loadStatusMatrix();
+
+function matches(entry, row) {
+  return STATUS_COLUMNS.every((col) => asList(entry[col]).includes(row[col]));
+}
+
+// Returns null for combinations that are not in the matrix (and no fallback is configured).
+function mapStatus(row) {
+  const entry = matrix.statuses.find((e) => matches(e, row || {}));
+  return entry ? entry.text : matrix.fallback;
+}
+
+function isKnownStatus(row) {
+  return matrix.statuses.some((e) => matches(e, row || {}));
+}
+
+function findStatus(text) {
+  const needle = String(text).trim().toLowerCase();
+  return matrix.statuses.find((e) => e.text.toLowerCase() === needle) || null;
+}
+
+// Reverse direction: status text -> column values. Lists use their first value.
+function statusToColumns(text) {
+  if (text == null || text === '') return null;
+  const entry = findStatus(text);
+  if (!entry) {
+    throw new Error(`Unbekannter Status: ${text}`);
+  }
+  const out = {};
+  for (const col of STATUS_COLUMNS) out[col] = asList(entry[col])[0];
+  return out;
+}
+
+module.exports = {
+  STATUS_COLUMNS,
+  matrix,
+  loadStatusMatrix,
+  mapStatus,
+  isKnownStatus,
+  findStatus,
+  asList,
+  statusToColumns,
+};
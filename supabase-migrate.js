@@ -0,0 +1,307 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('pg');
+const { pullFields, mapping } = require('./field-mapping');
+
+// Versioned Supabase migrations (migrations/NNN_name.sql) over a direct Postgres connection
+// (SUPA_DB_URL). Applied versions are recorded in public.kwp_schema_migrations.
+//   node supabase-migrate.js          apply pending migrations
+//   node supabase-migrate.js --check  report pending migrations and schema drift, change nothing
+//   node supabase-migrate.js --probe  --check plus a rolled-back write test of the projekt trigger
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATIONS_TABLE = 'public.kwp_schema_migrations';
+
+// What the sync needs after all migrations ran. --check compares the database against it.
+const projektColumns = [
+  ...pullFields.map((field) => field.supabase),
+  ...mapping.supabaseColumns.map((col) => col.trim().split(/\s+/)[0]),
+];
+// pg_trigger.tgtype bits for the row events.
+const TRIGGER_EVENT_BITS = { insert: 4, delete: 8, update: 16 };
+
+const EXPECTED = {
+  tables: {
+    projekt: projektColumns,
+    kwp_project_queue: [
+      'id', 'created_at', 'status', 'payload', 'attempt_count', 'processed_at', 'error', 'next_attempt_at',
+      'claimed_by', 'claimed_at', 'lease_expires_at', 'result',
+    ],
+    kwp_sync_state: ['key', 'value', 'updated_at'],
+    kwp_sync_conflicts: [
+      'id', 'created_at', 'projnr', 'direction', 'kwp_version', 'crm_version',
+      'kwp_editdate', 'crm_updated_at', 'status', 'resolution', 'resolved_at',
+    ],
+    kwp_sync_runs: [
+      'id', 'type', 'trigger', 'status', 'started_at', 'finished_at',
+      'duration_ms', 'params', 'counts', 'error', 'error_details',
+    ],
+    kwp_api_audit: ['id', 'at', 'principal', 'auth_type', 'scope', 'method', 'path', 'status', 'ip'],
+  },
+  indexes: [
+    'kwp_project_queue_status_created_idx',
+    'kwp_project_queue_status_next_attempt_idx',
+    'kwp_project_queue_status_lease_idx',
+    'kwp_sync_conflicts_projnr_idx',
+    'kwp_sync_runs_type_started_idx',
+    'kwp_api_audit_at_idx',
+  ],
+  triggers: [{ table: 'projekt', name: 'projekt_touch_updated_at', events: ['insert', 'update'] }],
+  replicaIdentityFull: ['kwp_project_queue'],
+  // RLS on projekt is opt-in (README), the CRM edits that table with its own roles.
+  rowSecurity: ['kwp_project_queue', 'kwp_sync_state', 'kwp_sync_conflicts', 'kwp_sync_runs', 'kwp_api_audit'],
+  publication: { name: 'supabase_realtime', tables: ['kwp_project_queue'] },
+  policies: [
+    { table: 'kwp_project_queue', name: 'kwp_project_queue_insert_authenticated' },
+    { table: 'kwp_project_queue', name: 'kwp_project_queue_select_authenticated' },
+  ],
+};
+
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d+_[\w-]+\.sql$/.test(file))
+    .sort()
+    .map((file) => {
+      const sqlText = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      return {
+        version: file.split('_')[0],
+        name: file.replace(/^\d+_|\.sql$/g, ''),
+        sql: sqlText,
+        checksum: crypto.createHash('sha256').update(sqlText).digest('hex'),
+      };
+    });
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    create table if not exists ${MIGRATIONS_TABLE} (
+      version text primary key,
+      name text not null,
+      checksum text not null,
+      applied_at timestamptz not null default now()
+    );
+    alter table ${MIGRATIONS_TABLE} enable row level security;
+  `);
+}
+
+async function loadApplied(client) {
+  const res = await client.query(`select to_regclass('${MIGRATIONS_TABLE}') as t`);
+  if (!res.rows[0].t) return new Map();
+  const applied = await client.query(`select version, name, checksum from ${MIGRATIONS_TABLE}`);
+  return new Map(applied.rows.map((row) => [row.version, row]));
+}
+
+// Migrations that ran with different file content were edited afterwards.
+function compareMigrations(migrations, applied) {
+  const pending = migrations.filter((m) => !applied.has(m.version));
+  const changed = migrations.filter((m) => applied.has(m.version) && applied.get(m.version).checksum !== m.checksum);
+  const known = new Set(migrations.map((m) => m.version));
+  const unknown = [...applied.values()].filter((row) => !known.has(row.version));
+  return { pending, changed, unknown };
+}
+
+async function findDrift(client) {
+  const problems = [];
+  const tables = Object.keys(EXPECTED.tables);
+
+  const columns = await client.query(
+    `select table_name, column_name from information_schema.columns
+     where table_schema = 'public' and table_name = any($1)`,
+    [tables]
+  );
+  const columnsByTable = new Map();
+  for (const row of columns.rows) {
+    if (!columnsByTable.has(row.table_name)) columnsByTable.set(row.table_name, new Set());
+    columnsByTable.get(row.table_name).add(row.column_name);
+  }
+  for (const [table, expected] of Object.entries(EXPECTED.tables)) {
+    const actual = columnsByTable.get(table);
+    if (!actual) {
+      problems.push(`Tabelle public.${table} fehlt`);
+      continue;
+    }
+    for (const col of expected) {
+      if (!actual.has(col)) problems.push(`Spalte public.${table}.${col} fehlt`);
+    }
+  }
+
+  const indexes = await client.query(
+    `select indexname from pg_indexes where schemaname = 'public' and indexname = any($1)`,
+    [EXPECTED.indexes]
+  );
+  const indexNames = new Set(indexes.rows.map((row) => row.indexname));
+  for (const name of EXPECTED.indexes) {
+    if (!indexNames.has(name)) problems.push(`Index public.${name} fehlt`);
+  }
+
+  const triggers = await client.query(
+    `select c.relname as table_name, t.tgname as name, t.tgtype as type
+     from pg_trigger t join pg_class c on c.oid = t.tgrelid join pg_namespace n on n.oid = c.relnamespace
+     where n.nspname = 'public' and not t.tgisinternal`
+  );
+  for (const { table, name, events } of EXPECTED.triggers) {
+    const trigger = triggers.rows.find((row) => row.table_name === table && row.name === name);
+    if (!trigger) {
+      problems.push(`Trigger ${name} auf public.${table} fehlt`);
+      continue;
+    }
+    const missing = events.filter((event) => !(trigger.type & TRIGGER_EVENT_BITS[event]));
+    if (missing.length) problems.push(`Trigger ${name} auf public.${table} feuert nicht bei ${missing.join(', ')}`);
+  }
+
+  const classes = await client.query(
+    `select c.relname, c.relreplident, c.relrowsecurity
+     from pg_class c join pg_namespace n on n.oid = c.relnamespace
+     where n.nspname = 'public' and c.relkind = 'r' and c.relname = any($1)`,
+    [tables]
+  );
+  const classByName = new Map(classes.rows.map((row) => [row.relname, row]));
+  for (const table of EXPECTED.replicaIdentityFull) {
+    const cls = classByName.get(table);
+    if (cls && cls.relreplident !== 'f') problems.push(`public.${table} braucht replica identity full`);
+  }
+  for (const table of EXPECTED.rowSecurity) {
+    const cls = classByName.get(table);
+    if (cls && !cls.relrowsecurity) problems.push(`RLS ist auf public.${table} nicht aktiv`);
+  }
+
+  const publication = await client.query(
+    `select exists (select 1 from pg_publication where pubname = $1) as present,
+       coalesce(array_agg(t.tablename::text), '{}'::text[]) as tables
+     from pg_publication_tables t where t.pubname = $1 and t.schemaname = 'public'`,
+    [EXPECTED.publication.name]
+  );
+  const { present, tables: published } = publication.rows[0];
+  if (!present) {
+    problems.push(`Publication ${EXPECTED.publication.name} fehlt (Realtime in Supabase aktivieren)`);
+  } else {
+    for (const table of EXPECTED.publication.tables) {
+      if (!published.includes(table)) problems.push(`public.${table} fehlt in Publication ${EXPECTED.publication.name}`);
+    }
+  }
+
+  const policies = await client.query(
+    `select tablename, policyname from pg_policies where schemaname = 'public'`
+  );
+  for (const { table, name } of EXPECTED.policies) {
+    if (!policies.rows.some((row) => row.tablename === table && row.policyname === name)) {
+      problems.push(`Policy ${name} auf public.${table} fehlt`);
+    }
+  }
+  return problems;
+}
+
+// Replays what the pull and the CRM do to a projekt row and checks updated_at vs. synced_at
+// (the test behind crmChangedSinceSync in server.js). Runs in a transaction that is rolled back,
+// but still writes to projekt (triggers, row lock), so only with --probe.
+const PROBE_PROJNR = '__kwp_db_check__';
+
+async function probeProjektTrigger(client) {
+  const problems = [];
+  const crmChanged = async () => {
+    const res = await client.query(
+      'select updated_at > synced_at as changed from public.projekt where projnr = $1',
+      [PROBE_PROJNR]
+    );
+    return res.rows[0].changed;
+  };
+  await client.query('begin');
+  try {
+    // now() is fixed inside the transaction, so the pull stamps lie before it.
+    // First pull inserts the row, the next pull writes it again.
+    await client.query(
+      `insert into public.projekt (projnr, synced_at) values ($1, now() - interval '1 minute')`,
+      [PROBE_PROJNR]
+    );
+    if (await crmChanged()) problems.push('vom Pull eingefügte Zeile gilt als CRM-Änderung');
+    await client.query(
+      `update public.projekt set synced_at = now() - interval '30 seconds' where projnr = $1`,
+      [PROBE_PROJNR]
+    );
+    if (await crmChanged()) problems.push('erneut gepullte Zeile gilt als CRM-Änderung');
+    // CRM edit without synced_at.
+    await client.query(
+      `update public.projekt set projbezeichnung = 'db:check CRM' where projnr = $1`,
+      [PROBE_PROJNR]
+    );
+    if (!(await crmChanged())) problems.push('CRM-Änderung wird nicht erkannt');
+  } catch (err) {
+    problems.push(`Trigger-Probe fehlgeschlagen: ${err.message}`);
+  } finally {
+    await client.query('rollback');
+  }
+  return problems.map((p) => `projekt_touch_updated_at: ${p}`);
+}
+
+async function migrate(client, migrations) {
+  await ensureMigrationsTable(client);
+  const applied = await loadApplied(client);
+  const { pending, changed } = compareMigrations(migrations, applied);
+  for (const m of changed) {
+    console.warn(`Migration ${m.version}_${m.name} wurde nach dem Einspielen geändert (Checksumme weicht ab).`);
+  }
+  if (!pending.length) {
+    console.log('Keine offenen Migrationen.');
+    return;
+  }
+  for (const m of pending) {
+    console.log(`Migration ${m.version}_${m.name} ...`);
+    await client.query('begin');
+    try {
+      await client.query(m.sql);
+      await client.query(
+        `insert into ${MIGRATIONS_TABLE} (version, name, checksum) values ($1, $2, $3)`,
+        [m.version, m.name, m.checksum]
+      );
+      await client.query('commit');
+    } catch (err) {
+      await client.query('rollback');
+      throw new Error(`Migration ${m.version}_${m.name} fehlgeschlagen: ${err.message}`);
+    }
+  }
+  console.log(`${pending.length} Migration(en) eingespielt.`);
+}
+
+async function check(client, migrations, { probe = false } = {}) {
+  const applied = await loadApplied(client);
+  const { pending, changed, unknown } = compareMigrations(migrations, applied);
+  const drift = await findDrift(client);
+  if (probe && !drift.some((problem) => problem.includes('public.projekt'))) {
+    drift.push(...(await probeProjektTrigger(client)));
+  }
+  for (const m of pending) console.log(`offen:     ${m.version}_${m.name}`);
+  for (const m of changed) console.log(`geändert:  ${m.version}_${m.name} (Checksumme weicht ab)`);
+  for (const row of unknown) console.log(`unbekannt: ${row.version}_${row.name} (nur in der Datenbank)`);
+  for (const problem of drift) console.log(`Abweichung: ${problem}`);
+  const ok = !pending.length && !changed.length && !drift.length;
+  console.log(ok ? 'Schema ist aktuell.' : 'Schema weicht ab, `npm run db:migrate` ausführen.');
+  return ok;
+}
+
+async function run() {
+  if (!process.env.SUPA_DB_URL) {
+    throw new Error('SUPA_DB_URL fehlt (Postgres-Connection-String des Supabase-Projekts).');
+  }
+  const probe = process.argv.includes('--probe');
+  const checkOnly = probe || process.argv.includes('--check');
+  const migrations = loadMigrations();
+  const client = new Client({ connectionString: process.env.SUPA_DB_URL });
+  await client.connect();
+  try {
+    if (checkOnly) {
+      process.exitCode = (await check(client, migrations, { probe })) ? 0 : 1;
+    } else {
+      await migrate(client, migrations);
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+run().catch((err) => {
+  console.error('Migration failed:', err?.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+// Run history (pull, push, queue items) in a Supabase table, shared by server.js and
+// realtime-sync.js. Recording failures are logged, never thrown: a broken history table
+// must not stop the sync itself.
+
+const RUNS_TABLE = process.env.KWP_SYNC_RUNS_TABLE || 'kwp_sync_runs';
+const ERROR_MAX_LEN = 2000;
+
+const truncate = (v, maxLen) => (v == null ? null : String(v).slice(0, maxLen));
+
+// Numbers are kept, arrays are reduced to their length, everything else is dropped.
+function summarizeResult(result) {
+  const counts = {};
+  for (const [key, value] of Object.entries(result || {})) {
+    if (typeof value === 'number') counts[key] = value;
+    else if (Array.isArray(value)) counts[key] = value.length;
+    else if (value && typeof value === 'object' && !(value instanceof Date)) {
+      const nested = summarizeResult(value);
+      if (Object.keys(nested).length) counts[key] = nested;
+    }
+  }
+  return counts;
+}
+
+function createRunRecorder(supa) {
+  async function start(type, trigger, params = {}) {
+    const { data, error } = await supa
+      .from(RUNS_TABLE)
+      .insert({
+        type,
+        trigger,
+        status: 'running',
+        started_at: new Date().toISOString(),
+        params,
+      })
+      .select('id')
+      .single();
+    if (error) {
+      console.error('Run history insert failed:', error.message);
+      return null;
+    }
+    return { id: data.id, startedAt: Date.now() };
+  }
+
+  async function finish(run, { result = null, error = null } = {}) {
+    if (!run) return;
+    const values = {
+      status: error ? 'error' : 'success',
+      finished_at: new Date().toISOString(),
+      duration_ms: Date.now() - run.startedAt,
+      counts: summarizeResult(result),
+      error: error ? truncate(error.message || error, ERROR_MAX_LEN) : null,
+      error_details: error
+        ? {
+          name: error.name || null,
+          code: error.code || error.number || null,
+          stack: truncate(error.stack, ERROR_MAX_LEN),
+        }
+        : null,
+    };
+    const { error: updateError } = await supa.from(RUNS_TABLE).update(values).eq('id', run.id);
+    if (updateError) {
+      console.error('Run history update failed:', updateError.message);
+    }
+  }
+
+  return { start, finish };
+}
+
+module.exports = {
+  RUNS_TABLE,
+  createRunRecorder,
+  summarizeResult,
+};
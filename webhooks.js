@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const metrics = require('./metrics');
+
+// Outgoing webhooks, shared by server.js and realtime-sync.js.
+// KWP_WEBHOOKS=url[|event+event],... (without events a URL receives every event).
+// Deliveries are signed with KWP_WEBHOOK_SECRET and retried with exponential backoff in
+// the background; failures are logged, never thrown.
+
+const EVENTS = ['queue.done', 'queue.error', 'pull.completed', 'pull.failed', 'push.completed', 'push.failed'];
+const SECRET = process.env.KWP_WEBHOOK_SECRET || '';
+const RETRIES = Math.max(Number.parseInt(process.env.KWP_WEBHOOK_RETRIES || '5', 10) || 0, 0);
+const RETRY_DELAY_MS = Number.parseInt(process.env.KWP_WEBHOOK_RETRY_DELAY_MS || '2000', 10) || 2000;
+const TIMEOUT_MS = Number.parseInt(process.env.KWP_WEBHOOK_TIMEOUT_MS || '10000', 10) || 10000;
+
+function parseWebhooks(value) {
+  return String(value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [url, eventList] = entry.split('|');
+      const events = eventList ? eventList.split('+').map((e) => e.trim()) : EVENTS;
+      const unknown = events.filter((e) => !EVENTS.includes(e));
+      if (unknown.length) throw new Error(`KWP_WEBHOOKS: unbekanntes Event ${unknown.join(', ')} für ${url}.`);
+      return { url: new URL(url).toString(), events };
+    });
+}
+
+const WEBHOOKS = parseWebhooks(process.env.KWP_WEBHOOKS);
+if (WEBHOOKS.length && !SECRET) {
+  console.warn('KWP_WEBHOOKS ohne KWP_WEBHOOK_SECRET: Webhooks werden unsigniert verschickt.');
+}
+
+// Receivers recompute HMAC-SHA256(secret, `${timestamp}.${body}`) and compare.
+function sign(timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+// 408/429 and 5xx are worth another try, other 4xx are not.
+const retryable = (status) => status === 408 || status === 429 || status >= 500;
+
+async function deliver(hook, delivery, body) {
+  for (let attempt = 1; ; attempt += 1) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'kwp-sync-webhooks',
+      'X-KWP-Event': delivery.event,
+      'X-KWP-Delivery': delivery.id,
+      'X-KWP-Timestamp': timestamp,
+      ...(SECRET ? { 'X-KWP-Signature': sign(timestamp, body) } : {}),
+    };
+    let error;
+    try {
+      const res = await fetch(hook.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+      if (res.ok) {
+        metrics.webhookDeliveries.inc({ event: delivery.event, outcome: 'success' });
+        return;
+      }
+      error = `HTTP ${res.status}`;
+      if (!retryable(res.status)) attempt = RETRIES + 1;
+    } catch (err) {
+      error = err.message || String(err);
+    }
+    if (attempt > RETRIES) {
+      metrics.webhookDeliveries.inc({ event: delivery.event, outcome: 'failed' });
+      console.error(`Webhook ${delivery.event} an ${hook.url} fehlgeschlagen (${attempt} Versuche): ${error}`);
+      return;
+    }
+    metrics.webhookDeliveries.inc({ event: delivery.event, outcome: 'retry' });
+    await sleep(RETRY_DELAY_MS * 2 ** (attempt - 1));
+  }
+}
+
+// Fire and forget: returns immediately, deliveries continue in the background.
+function emitWebhook(event, data) {
+  if (!EVENTS.includes(event)) throw new Error(`Unbekanntes Webhook-Event: ${event}`);
+  const targets = WEBHOOKS.filter((hook) => hook.events.includes(event));
+  if (!targets.length) return;
+  const delivery = { id: crypto.randomUUID(), event, createdAt: new Date().toISOString() };
+  const body = JSON.stringify({ ...delivery, data });
+  for (const hook of targets) {
+    deliver(hook, delivery, body).catch((err) => console.error('Webhook delivery crashed:', err));
+  }
+}
+
+module.exports = {
+  EVENTS,
+  emitWebhook,
+  parseWebhooks,
+  sign,
+};